@@ -614,7 +614,9 @@ defmodule Mix.Tasks.Mishka.Ui.Gen.Component do
                   content
 
                 _ ->
-                  File.read!("deps/mishka_chelekom/priv/assets/js/mishka_components.js")
+                  "deps/mishka_chelekom/priv/assets/js/mishka_components.js"
+                  |> File.read!()
+                  |> registry_seed()
               end
 
             acc
@@ -634,15 +636,15 @@ defmodule Mix.Tasks.Mishka.Ui.Gen.Component do
               caller_js,
               fn source ->
                 with original_content <- Rewrite.Source.get(source, :content),
-                     {:ok, _, imported} <-
-                       JsParser.insert_imports(original_content, "#{item.imports}"),
+                     {:ok, _, imported} <- insert_missing_imports(original_content, item.imports),
                      {:ok, _, extended} <-
                        JsParser.extend_var_object_by_object_names(
                          imported,
                          "Components",
                          "#{item.module}"
                        ),
-                     {:ok, _, formatted} <- JsFormatter.format(extended) do
+                     exported = add_registry_export(extended, item.module),
+                     {:ok, _, formatted} <- JsFormatter.format(exported) do
                   Rewrite.Source.update(source, :content, formatted)
                 else
                   {:error, _, error} ->
@@ -668,21 +670,23 @@ defmodule Mix.Tasks.Mishka.Ui.Gen.Component do
 
       case File.read(app_js) do
         {:ok, content} ->
-          igniter
-          |> Igniter.create_or_update_file(app_js, content, fn source ->
-            imports = """
-            import MishkaComponents from "../vendor/mishka_components.js";
-            """
-
-            with original_content <- Rewrite.Source.get(source, :content),
-                 {:ok, _, imported} <- JsParser.insert_imports(original_content, imports),
-                 {:ok, _, output} <- JsParser.extend_hook_object(imported, "...MishkaComponents"),
-                 {:ok, _, formatted} <- JsFormatter.format(output) do
-              Rewrite.Source.update(source, :content, formatted)
-            else
-              {:error, _, error} ->
-                Igniter.add_issue(igniter, "#{inspect(error)}")
-            end
+          # Hooks are imported by name, so the bundle only carries the ones
+          # that were generated into the project
+          Enum.reduce(files, igniter, fn item, acc ->
+            Igniter.create_or_update_file(acc, app_js, content, fn source ->
+              with original_content <- Rewrite.Source.get(source, :content),
+                   {:ok, :added, imported} <- add_registry_import(original_content, item.module),
+                   {:ok, _, output} <- JsParser.extend_hook_object(imported, item.module),
+                   {:ok, _, formatted} <- JsFormatter.format(output) do
+                Rewrite.Source.update(source, :content, formatted)
+              else
+                {:ok, :exists, _} ->
+                  source
+
+                {:error, _, error} ->
+                  Rewrite.Source.add_issue(source, "#{inspect(error)}")
+              end
+            end)
           end)
 
         _ ->
@@ -698,6 +702,74 @@ defmodule Mix.Tasks.Mishka.Ui.Gen.Component do
     end
   end
 
+  @doc false
+  # The core `mishka_components.js` is the complete registry. A project only
+  # gets the hooks it generates, so the vendor copy starts from the same file
+  # without any hook imports, entries or named exports.
+  def registry_seed(core_content) do
+    core_content
+    |> String.replace(~r/^import \w+ from "\.\/[\w.]+";\n/m, "")
+    |> String.replace(~r/const Components = \{[^}]*\};/, "const Components = {};")
+    |> String.replace(~r/export \{[^}]*\};/, "export {};")
+  end
+
+  @doc false
+  def add_registry_export(content, module) do
+    case Regex.run(~r/export \{([^}]*)\};/, content) do
+      [block, names] ->
+        String.replace(content, block, "export { #{add_name(names, module)} };")
+
+      nil ->
+        content <> "\nexport { #{module} };\n"
+    end
+  end
+
+  @doc false
+  # app.js keeps a single named import from the registry, regenerating a
+  # component extends it instead of adding another import line.
+  def add_registry_import(content, module) do
+    registry_import = ~r/import \{([^}]*)\} from "\.\.\/vendor\/mishka_components\.js";/
+
+    case Regex.run(registry_import, content) do
+      [block, names] ->
+        if module in split_names(names) do
+          {:ok, :exists, content}
+        else
+          line = ~s(import { #{add_name(names, module)} } from "../vendor/mishka_components.js";)
+          {:ok, :added, String.replace(content, block, line)}
+        end
+
+      nil ->
+        line = ~s(import { #{module} } from "../vendor/mishka_components.js";\n)
+
+        case JsParser.insert_imports(content, line) do
+          {:ok, _, imported} -> {:ok, :added, imported}
+          error -> error
+        end
+    end
+  end
+
+  defp add_name(names, module) do
+    (split_names(names) ++ [module])
+    |> Enum.uniq()
+    |> Enum.join(", ")
+  end
+
+  defp split_names(names) do
+    names
+    |> String.split(",", trim: true)
+    |> Enum.map(&String.trim/1)
+    |> Enum.reject(&(&1 == ""))
+  end
+
+  defp insert_missing_imports(content, imports) do
+    if String.contains?(content, String.trim(imports)) do
+      {:ok, nil, content}
+    else
+      JsParser.insert_imports(content, imports)
+    end
+  end
+
   # Apply filters for all component attributes from config
   defp maybe_apply_color_filter(igniter, options, template_config) do
     apply_component_filters(igniter, options, template_config)
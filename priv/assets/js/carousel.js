@@ -3,6 +3,7 @@ const Carousel = {
     try {
       this.initializeElements();
       this.setupState();
+      this.setupTrack();
       this.setupEventListeners();
       this.setupImageLoadHandling();
       this.setupKeyboardNavigation();
@@ -13,6 +14,7 @@ const Carousel = {
       this.setupIntersectionObserver();
 
       this.handleEvent("select-slide", ({ index }) => this.selectSlide(index));
+      this.setupServerEvents();
     } catch (error) {
       console.error(`Carousel initialization error: ${error.message}`);
     }
@@ -26,6 +28,30 @@ const Carousel = {
     }
   },
 
+  destroyed() {
+    // Nothing to tear down when mounting failed before the handlers existed
+    if (!this.eventHandlers) return;
+
+    this.cleanupEventListeners();
+    // Keeps anything still queued from starting a new slide timer
+    this.shouldAutoplay = false;
+    this.stopAutoplay();
+    this.intersectionObserver?.disconnect();
+    this.clearPendingTimeouts();
+  },
+
+  clearPendingTimeouts() {
+    clearTimeout(this.autoplayTimer);
+    this.autoplayTimer = null;
+    this.progressAnimation?.cancel();
+    clearTimeout(this.userInteractionTimeout);
+    clearTimeout(this.resizeTimeout);
+    clearTimeout(this.loopResetTimeout);
+    this.userInteractionTimeout = null;
+    this.resizeTimeout = null;
+    this.loopResetTimeout = null;
+  },
+
   initializeElements() {
     this.slides = this.el.querySelectorAll(".slide");
     if (!this.slides.length) {
@@ -33,6 +59,13 @@ const Carousel = {
     }
 
     this.indicators = this.el.querySelectorAll(".carousel-indicator");
+    // The thumbnail strip is rendered next to the carousel so it can scroll
+    // on its own without being clipped by the slide viewport.
+    this.thumbnailStrip = document.getElementById(
+      `${this.el.id}-carousel-thumbnails`,
+    );
+    this.thumbnails =
+      this.thumbnailStrip?.querySelectorAll(".carousel-thumbnail") || [];
     this.prevButtons = [
       this.el.querySelector(`#${this.el.id}-carousel-prev`),
     ].filter(Boolean);
@@ -90,8 +123,15 @@ const Carousel = {
       activeIndicator:
         this.sanitizeClassName(this.el.dataset.activeIndicatorClass) ||
         "active-indicator",
+      activeThumbnail:
+        this.sanitizeClassName(this.el.dataset.activeThumbnailClass) ||
+        "active-thumbnail",
     };
 
+    this.syncWith = this.el.dataset.syncWith || null;
+    this.serverEvents = this.el.dataset.serverEvents === "true";
+    this.eventHandler = this.el.dataset.eventHandler || "slide_changed";
+
     // Validate boolean values
     this.shouldAutoplay = this.el.dataset.autoplay === "true";
 
@@ -102,14 +142,354 @@ const Carousel = {
         ? Math.min(rawInterval, 30000)
         : 5000;
 
+    const progressStyles = ["bar", "ring"];
+    this.autoplayProgress = progressStyles.includes(
+      this.el.dataset.autoplayProgress,
+    )
+      ? this.el.dataset.autoplayProgress
+      : null;
+
+    // Autoplay runs one timeout per slide and keeps the time left on it, so
+    // a pause resumes where it stopped instead of starting over.
     this.autoplayTimer = null;
+    this.autoplayStartedAt = 0;
+    this.autoplayRemaining = null;
+    this.progressElement = null;
+    this.progressAnimation = null;
     this.userInteractionDelay = 7000;
     this.userInteractionTimeout = null;
     this.isHovered = false;
-    this.isTouching = false;
-    this.touchStartX = 0;
-    this.touchEndX = 0;
+    this.isFocused = false;
+    this.isInView = true;
+    this.isDragging = false;
+    this.drag = null;
+    this.suppressClick = false;
     this.minSwipeDistance = 50;
+    // Pixels a pointer must travel before the gesture axis is decided.
+    this.dragIntentThreshold = 8;
+    // Release speed in px/ms that counts as a flick regardless of distance.
+    this.flickVelocity = 0.4;
+
+    this.loop = this.el.dataset.loop === "true";
+    this.baseSlidesPerView = this.sanitizePerView(
+      this.el.dataset.slidesPerView,
+    );
+    this.baseSlidesPerGroup = this.sanitizePerView(
+      this.el.dataset.slidesPerGroup,
+    );
+    this.breakpoints = this.parseBreakpoints(this.el.dataset.breakpoints);
+    this.applyBreakpoint();
+
+    const effects = ["fade", "slide", "vertical", "peek"];
+    this.effect = effects.includes(this.el.dataset.effect)
+      ? this.el.dataset.effect
+      : "fade";
+    // Showing more than one slide at a time needs a translating track.
+    if (
+      this.effect === "fade" &&
+      (this.baseSlidesPerView > 1 ||
+        this.breakpoints.some(({ perView }) => perView > 1))
+    ) {
+      this.effect = "slide";
+    }
+    this.isVertical = this.effect === "vertical";
+    this.isRTL = getComputedStyle(this.el).direction === "rtl";
+    this.reducedMotion = window.matchMedia(
+      "(prefers-reduced-motion: reduce)",
+    ).matches;
+
+    const rawDuration = parseInt(this.el.dataset.transitionDuration, 10);
+    this.transitionDuration = this.reducedMotion
+      ? 0
+      : !isNaN(rawDuration) && rawDuration >= 0
+        ? Math.min(rawDuration, 3000)
+        : 500;
+
+    // Peek is the share (in %) of the container width given to each neighbor.
+    const rawPeek = parseFloat(this.el.dataset.peek);
+    this.peek =
+      this.effect !== "peek"
+        ? 0
+        : !isNaN(rawPeek) && rawPeek >= 0
+          ? Math.min(rawPeek, 40)
+          : 10;
+
+    const rawGap = parseInt(this.el.dataset.gap, 10);
+    this.gap =
+      !isNaN(rawGap) && rawGap >= 0
+        ? Math.min(rawGap, 200)
+        : this.effect === "peek"
+          ? 16
+          : 0;
+
+    this.lazy = this.el.dataset.lazy === "true";
+    const rawNeighbors = parseInt(this.el.dataset.lazyNeighbors, 10);
+    this.lazyNeighbors =
+      !isNaN(rawNeighbors) && rawNeighbors >= 0
+        ? Math.min(rawNeighbors, 10)
+        : 1;
+
+    this.cloneCount = 0;
+    this.trackPosition = 0;
+    this.loopResetTimeout = null;
+    this.activeIndex = this.getPageStart(
+      this.getPageForSlide(this.activeIndex),
+    );
+  },
+
+  sanitizePerView(value) {
+    const num = parseInt(value, 10);
+    return !isNaN(num) && num > 0 ? Math.min(num, 12) : 1;
+  },
+
+  // Breakpoints are a JSON object keyed by minimum viewport width, e.g.
+  // `{"640": {"slides_per_view": 2}, "1024": {"slides_per_view": 4}}`.
+  parseBreakpoints(raw) {
+    if (!raw) return [];
+
+    try {
+      const parsed = JSON.parse(raw);
+      return Object.entries(parsed)
+        .map(([width, config]) => ({
+          minWidth: this.sanitizeNumber(width),
+          perView: config?.slides_per_view ?? config?.slidesPerView,
+          perGroup: config?.slides_per_group ?? config?.slidesPerGroup,
+        }))
+        .filter(({ minWidth }) => minWidth > 0)
+        .sort((a, b) => a.minWidth - b.minWidth);
+    } catch (error) {
+      console.warn(`Invalid carousel breakpoints: ${error.message}`);
+      return [];
+    }
+  },
+
+  // Returns true when the number of slides per view or group changed.
+  applyBreakpoint() {
+    let perView = this.baseSlidesPerView;
+    let perGroup = this.baseSlidesPerGroup;
+
+    this.breakpoints.forEach((breakpoint) => {
+      if (window.innerWidth >= breakpoint.minWidth) {
+        if (breakpoint.perView !== undefined) {
+          perView = this.sanitizePerView(breakpoint.perView);
+        }
+        if (breakpoint.perGroup !== undefined) {
+          perGroup = this.sanitizePerView(breakpoint.perGroup);
+        }
+      }
+    });
+
+    perView = Math.min(perView, this.slides.length);
+    perGroup = Math.min(perGroup, perView);
+
+    const changed =
+      perView !== this.slidesPerView || perGroup !== this.slidesPerGroup;
+    this.slidesPerView = perView;
+    this.slidesPerGroup = perGroup;
+    return changed;
+  },
+
+  getPageCount() {
+    if (this.loop) {
+      return Math.ceil(this.totalSlides / this.slidesPerGroup);
+    }
+    const lastStart = Math.max(0, this.totalSlides - this.slidesPerView);
+    return Math.ceil(lastStart / this.slidesPerGroup) + 1;
+  },
+
+  // Pages are 1-based and map to the 1-based index of their leading slide.
+  getPageStart(page) {
+    const start = (page - 1) * this.slidesPerGroup;
+    if (this.loop) {
+      return (start % this.totalSlides) + 1;
+    }
+    return (
+      Math.min(start, Math.max(0, this.totalSlides - this.slidesPerView)) + 1
+    );
+  },
+
+  getPageForSlide(index) {
+    const pageCount = this.getPageCount();
+    if (
+      !this.loop &&
+      index - 1 >= Math.max(0, this.totalSlides - this.slidesPerView)
+    ) {
+      return pageCount;
+    }
+    return Math.min(
+      pageCount,
+      Math.floor((index - 1) / this.slidesPerGroup) + 1,
+    );
+  },
+
+  getNextIndex() {
+    const page = this.getPageForSlide(this.activeIndex);
+    return this.getPageStart(page < this.getPageCount() ? page + 1 : 1);
+  },
+
+  getPrevIndex() {
+    const page = this.getPageForSlide(this.activeIndex);
+    return this.getPageStart(page > 1 ? page - 1 : this.getPageCount());
+  },
+
+  setupTrack() {
+    if (this.effect === "fade") {
+      if (this.reducedMotion) {
+        this.slides.forEach((slide) => {
+          slide.style.transitionDuration = "0ms";
+        });
+      }
+      return;
+    }
+
+    // Translate based effects move every slide inside a single flex track,
+    // inline styles override the stacked crossfade classes of the template.
+    this.track = document.createElement("div");
+    this.track.className = "carousel-track";
+    this.track.style.display = "flex";
+    this.track.style.flexDirection = this.isVertical ? "column" : "row";
+    this.track.style.gap = `${this.gap}px`;
+    this.track.style.willChange = "transform";
+
+    this.slides[0].parentNode.insertBefore(this.track, this.slides[0]);
+    this.slides.forEach((slide) => {
+      this.track.appendChild(slide);
+      slide.style.position = "relative";
+      slide.style.opacity = "1";
+      slide.style.pointerEvents = "auto";
+      slide.style.flexShrink = "0";
+      slide.style.transition = "none";
+    });
+
+    this.buildLoopClones();
+    this.updateTrackLayout();
+  },
+
+  // A seamless loop renders copies of the edge slides on both sides of the
+  // track, moves onto them and then jumps back to the real slide unanimated.
+  buildLoopClones() {
+    this.track
+      .querySelectorAll("[data-carousel-clone]")
+      .forEach((clone) => clone.remove());
+
+    this.cloneCount = this.loop ? this.slidesPerView + this.slidesPerGroup : 0;
+
+    const total = this.totalSlides;
+    const createClone = (index) => {
+      const slideIndex = ((index % total) + total) % total;
+      const clone = this.slides[slideIndex].cloneNode(true);
+      clone.setAttribute("data-carousel-clone", String(slideIndex + 1));
+      clone.setAttribute("aria-hidden", "true");
+      clone.setAttribute("tabindex", "-1");
+      clone.setAttribute("inert", "");
+      clone.removeAttribute("id");
+      clone.querySelectorAll("[id]").forEach((el) => el.removeAttribute("id"));
+      return clone;
+    };
+
+    for (let i = this.cloneCount; i > 0; i--) {
+      this.track.insertBefore(createClone(-i), this.slides[0]);
+    }
+    for (let i = 0; i < this.cloneCount; i++) {
+      this.track.appendChild(createClone(i));
+    }
+
+    this.trackPosition = this.cloneCount + this.activeIndex - 1;
+  },
+
+  updateTrackLayout() {
+    if (!this.track) return;
+
+    const items = Array.from(this.track.children);
+    const perView = this.slidesPerView;
+
+    if (this.isVertical) {
+      this.el.style.height = "";
+      items.forEach((item) => {
+        item.style.height = "";
+      });
+
+      const height = Math.max(
+        ...Array.from(this.slides, (slide) => slide.offsetHeight),
+      );
+      this.slideSize = height;
+      this.trackStartOffset = 0;
+      this.el.style.height = `${height * perView + this.gap * (perView - 1)}px`;
+      items.forEach((item) => {
+        item.style.height = `${height}px`;
+      });
+    } else {
+      const width = this.el.clientWidth;
+      const peekSize = (width * this.peek) / 100;
+      const sideSpace = this.peek ? peekSize + this.gap : 0;
+      const available = width - sideSpace * 2 - this.gap * (perView - 1);
+
+      this.slideSize = Math.max(0, available / perView);
+      this.trackStartOffset = sideSpace;
+      items.forEach((item) => {
+        item.style.width = `${this.slideSize}px`;
+      });
+    }
+
+    this.trackPosition = this.cloneCount + this.activeIndex - 1;
+    this.applyTrackPosition(false);
+  },
+
+  moveTrackTo(targetIndex, direction) {
+    if (!this.track) return;
+
+    if (this.loopResetTimeout) {
+      clearTimeout(this.loopResetTimeout);
+      this.resetLoopPosition();
+    }
+
+    let position = this.cloneCount + targetIndex - 1;
+
+    if (this.loop) {
+      if (direction === "next" && position <= this.trackPosition) {
+        position += this.totalSlides;
+      } else if (direction === "prev" && position >= this.trackPosition) {
+        position -= this.totalSlides;
+      }
+    }
+
+    this.trackPosition = position;
+    this.applyTrackPosition();
+
+    const outOfRange =
+      position < this.cloneCount ||
+      position >= this.cloneCount + this.totalSlides;
+
+    if (this.loop && outOfRange) {
+      this.loopResetTimeout = setTimeout(
+        () => this.resetLoopPosition(),
+        this.transitionDuration,
+      );
+    }
+  },
+
+  resetLoopPosition() {
+    this.loopResetTimeout = null;
+    this.trackPosition = this.cloneCount + this.activeIndex - 1;
+    this.applyTrackPosition(false);
+  },
+
+  applyTrackPosition(animate = true, dragOffset = 0) {
+    if (!this.track) return;
+
+    const index = this.trackPosition;
+    const offset = this.trackStartOffset - index * (this.slideSize + this.gap);
+    // A row track starts at the right edge in RTL, so it moves the other way.
+    const physical =
+      (!this.isVertical && this.isRTL ? -offset : offset) + dragOffset;
+
+    this.track.style.transition =
+      animate && this.transitionDuration
+        ? `transform ${this.transitionDuration}ms ease`
+        : "none";
+    this.track.style.transform = this.isVertical
+      ? `translateY(${physical}px)`
+      : `translateX(${physical}px)`;
   },
 
   setupEventListeners() {
@@ -124,44 +504,58 @@ const Carousel = {
       },
       indicatorClick: (index) => {
         this.handleUserInteraction();
-        this.handleIndicatorClick(index + 1);
+        this.handleIndicatorClick(this.getPageStart(index + 1));
       },
       mouseEnter: () => {
         this.isHovered = true;
-        if (this.shouldAutoplay && this.el.dataset.pauseOnHover !== "false") {
-          this.stopAutoplay();
-        }
+        this.stopAutoplay();
       },
       mouseLeave: () => {
         this.isHovered = false;
-        if (
-          this.shouldAutoplay &&
-          !this.isTouching &&
-          this.el.dataset.pauseOnHover !== "false"
-        ) {
-          this.startAutoplay();
-        }
+        this.startAutoplay();
       },
-      touchStart: (e) => {
-        this.isTouching = true;
-        this.touchStartX = e.touches[0].clientX;
-        if (this.shouldAutoplay) {
-          this.stopAutoplay();
-        }
+      pointerDown: (e) => this.handlePointerDown(e),
+      pointerMove: (e) => this.handlePointerMove(e),
+      pointerUp: (e) => this.handlePointerUp(e),
+      pointerCancel: (e) => this.handlePointerUp(e, true),
+      clickCapture: (e) => {
+        if (!this.suppressClick) return;
+        this.suppressClick = false;
+        e.preventDefault();
+        e.stopPropagation();
+      },
+      dragStart: (e) => e.preventDefault(),
+      keyDown: (e) => this.handleKeyDown(e),
+      resize: () => this.handleResize(),
+      thumbnailClick: (e) => {
+        const thumbnail = e.target.closest(".carousel-thumbnail");
+        if (!thumbnail) return;
+
+        const index = this.sanitizeNumber(thumbnail.dataset.thumbnailIndex);
+        this.handleUserInteraction();
+        this.handleIndicatorClick(
+          this.getPageStart(this.getPageForSlide(index)),
+        );
       },
-      touchMove: (e) => {
-        if (!this.isTouching) return;
-        this.touchEndX = e.touches[0].clientX;
+      syncedSlideChange: (e) => this.handleSyncedSlideChange(e),
+      focusIn: (e) => {
+        // Only keyboard focus pauses, a clicked control keeps focus as well.
+        if (!e.target.matches(":focus-visible")) return;
+        this.isFocused = true;
+        this.stopAutoplay();
       },
-      touchEnd: () => {
-        this.isTouching = false;
-        this.handleSwipe();
-        if (this.shouldAutoplay && !this.isHovered) {
+      focusOut: (e) => {
+        if (this.el.contains(e.relatedTarget)) return;
+        this.isFocused = false;
+        this.startAutoplay();
+      },
+      visibilityChange: () => {
+        if (document.hidden) {
+          this.stopAutoplay();
+        } else {
           this.startAutoplay();
         }
       },
-      keyDown: (e) => this.handleKeyDown(e),
-      resize: () => this.handleResize(),
     };
 
     this.prevButtons.forEach((button) => {
@@ -178,6 +572,23 @@ const Carousel = {
       );
     });
 
+    this.thumbnailStrip?.addEventListener(
+      "click",
+      this.eventHandlers.thumbnailClick,
+    );
+
+    document.addEventListener(
+      "carousel:slide-changed",
+      this.eventHandlers.syncedSlideChange,
+    );
+
+    this.el.addEventListener("focusin", this.eventHandlers.focusIn);
+    this.el.addEventListener("focusout", this.eventHandlers.focusOut);
+    document.addEventListener(
+      "visibilitychange",
+      this.eventHandlers.visibilityChange,
+    );
+
     if (this.el.dataset.pauseOnHover !== "false") {
       this.el.addEventListener("mouseenter", this.eventHandlers.mouseEnter);
       this.el.addEventListener("mouseleave", this.eventHandlers.mouseLeave);
@@ -199,15 +610,38 @@ const Carousel = {
       );
     });
 
+    this.thumbnailStrip?.removeEventListener(
+      "click",
+      this.eventHandlers.thumbnailClick,
+    );
+
+    document.removeEventListener(
+      "carousel:slide-changed",
+      this.eventHandlers.syncedSlideChange,
+    );
+
+    this.el.removeEventListener("focusin", this.eventHandlers.focusIn);
+    this.el.removeEventListener("focusout", this.eventHandlers.focusOut);
+    document.removeEventListener(
+      "visibilitychange",
+      this.eventHandlers.visibilityChange,
+    );
+
     this.el.removeEventListener("mouseenter", this.eventHandlers.mouseEnter);
     this.el.removeEventListener("mouseleave", this.eventHandlers.mouseLeave);
 
     document.removeEventListener("keydown", this.eventHandlers.keyDown);
     window.removeEventListener("resize", this.eventHandlers.resize);
 
-    this.el.removeEventListener("touchstart", this.eventHandlers.touchStart);
-    this.el.removeEventListener("touchmove", this.eventHandlers.touchMove);
-    this.el.removeEventListener("touchend", this.eventHandlers.touchEnd);
+    this.el.removeEventListener("pointerdown", this.eventHandlers.pointerDown);
+    this.el.removeEventListener("pointermove", this.eventHandlers.pointerMove);
+    this.el.removeEventListener("pointerup", this.eventHandlers.pointerUp);
+    this.el.removeEventListener(
+      "pointercancel",
+      this.eventHandlers.pointerCancel,
+    );
+    this.el.removeEventListener("click", this.eventHandlers.clickCapture, true);
+    this.el.removeEventListener("dragstart", this.eventHandlers.dragStart);
   },
 
   setupKeyboardNavigation() {
@@ -221,11 +655,14 @@ const Carousel = {
 
     if (!hasFocus) return;
 
-    if (e.key === "ArrowLeft" || e.key === "ArrowUp") {
+    const prevKey = this.isRTL ? "ArrowRight" : "ArrowLeft";
+    const nextKey = this.isRTL ? "ArrowLeft" : "ArrowRight";
+
+    if (e.key === prevKey || e.key === "ArrowUp") {
       this.handleUserInteraction();
       this.handlePrevClick(e);
       e.preventDefault();
-    } else if (e.key === "ArrowRight" || e.key === "ArrowDown") {
+    } else if (e.key === nextKey || e.key === "ArrowDown") {
       this.handleUserInteraction();
       this.handleNextClick(e);
       e.preventDefault();
@@ -233,30 +670,178 @@ const Carousel = {
   },
 
   setupTouchNavigation() {
-    this.el.addEventListener("touchstart", this.eventHandlers.touchStart, {
-      passive: true,
-    });
-    this.el.addEventListener("touchmove", this.eventHandlers.touchMove, {
-      passive: true,
-    });
-    this.el.addEventListener("touchend", this.eventHandlers.touchEnd);
+    // The browser keeps scrolling along the cross axis, so a vertical swipe
+    // on a horizontal carousel still scrolls the page and cancels the drag.
+    this.el.style.touchAction = this.isVertical
+      ? "pan-x pinch-zoom"
+      : "pan-y pinch-zoom";
+
+    this.el.addEventListener("pointerdown", this.eventHandlers.pointerDown);
+    this.el.addEventListener("pointermove", this.eventHandlers.pointerMove);
+    this.el.addEventListener("pointerup", this.eventHandlers.pointerUp);
+    this.el.addEventListener("pointercancel", this.eventHandlers.pointerCancel);
+    this.el.addEventListener("click", this.eventHandlers.clickCapture, true);
+    this.el.addEventListener("dragstart", this.eventHandlers.dragStart);
   },
 
-  handleSwipe() {
-    if (!this.touchStartX || !this.touchEndX) return;
+  handlePointerDown(e) {
+    if (!e.isPrimary || this.drag) return;
+    if (e.pointerType === "mouse" && e.button !== 0) return;
+    if (e.target.closest("button, input, select, textarea, [data-no-drag]")) {
+      return;
+    }
 
-    const swipeDistance = this.touchEndX - this.touchStartX;
+    if (this.loopResetTimeout) {
+      clearTimeout(this.loopResetTimeout);
+      this.resetLoopPosition();
+    }
 
-    if (Math.abs(swipeDistance) > this.minSwipeDistance) {
-      if (swipeDistance > 0) {
-        this.handlePrevClick(new Event("swipe"));
-      } else {
+    const position = this.isVertical ? e.clientY : e.clientX;
+    this.drag = {
+      pointerId: e.pointerId,
+      startX: e.clientX,
+      startY: e.clientY,
+      lastPosition: position,
+      lastTime: e.timeStamp,
+      velocity: 0,
+      offset: 0,
+      axis: null,
+    };
+  },
+
+  handlePointerMove(e) {
+    const drag = this.drag;
+    if (!drag || e.pointerId !== drag.pointerId) return;
+
+    const deltaX = e.clientX - drag.startX;
+    const deltaY = e.clientY - drag.startY;
+    const mainDelta = this.isVertical ? deltaY : deltaX;
+    const crossDelta = this.isVertical ? deltaX : deltaY;
+
+    if (!drag.axis) {
+      if (
+        Math.max(Math.abs(mainDelta), Math.abs(crossDelta)) <
+        this.dragIntentThreshold
+      ) {
+        return;
+      }
+
+      // Movement mostly along the cross axis is a scroll, not a swipe.
+      if (Math.abs(crossDelta) > Math.abs(mainDelta)) {
+        this.drag = null;
+        return;
+      }
+
+      drag.axis = "main";
+      this.isDragging = true;
+      this.el.setPointerCapture?.(e.pointerId);
+      this.el.setAttribute("data-dragging", "");
+      if (this.shouldAutoplay) {
+        this.stopAutoplay();
+      }
+    }
+
+    e.preventDefault();
+
+    const position = this.isVertical ? e.clientY : e.clientX;
+    const elapsed = e.timeStamp - drag.lastTime;
+    if (elapsed > 0) {
+      const velocity = (position - drag.lastPosition) / elapsed;
+      drag.velocity = drag.velocity * 0.2 + velocity * 0.8;
+    }
+    drag.lastPosition = position;
+    drag.lastTime = e.timeStamp;
+
+    drag.offset = this.applyDragResistance(mainDelta);
+    this.renderDragOffset(drag.offset);
+  },
+
+  handlePointerUp(e, cancelled = false) {
+    const drag = this.drag;
+    if (!drag || e.pointerId !== drag.pointerId) return;
+
+    this.drag = null;
+    if (!drag.axis) return;
+
+    this.isDragging = false;
+    this.el.releasePointerCapture?.(e.pointerId);
+    this.el.removeAttribute("data-dragging");
+    // Swallow the click that ends a drag, but never a later genuine one.
+    this.suppressClick = !cancelled;
+    setTimeout(() => {
+      this.suppressClick = false;
+    }, 0);
+
+    // A pointer resting before release loses its momentum.
+    const velocity = e.timeStamp - drag.lastTime > 100 ? 0 : drag.velocity;
+    const threshold = Math.min(
+      this.minSwipeDistance,
+      (this.slideSize || this.el.clientWidth) / 4,
+    );
+    const isFlick =
+      Math.abs(velocity) > this.flickVelocity &&
+      Math.sign(velocity) === Math.sign(drag.offset);
+    const direction = this.getDragDirection(drag.offset);
+
+    this.renderDragOffset(0, false);
+
+    if (
+      !cancelled &&
+      direction &&
+      (Math.abs(drag.offset) > threshold || isFlick)
+    ) {
+      this.handleUserInteraction();
+      if (direction === "next") {
         this.handleNextClick(new Event("swipe"));
+      } else {
+        this.handlePrevClick(new Event("swipe"));
       }
+    } else {
+      this.applyTrackPosition();
+      this.startAutoplay();
     }
+  },
 
-    this.touchStartX = 0;
-    this.touchEndX = 0;
+  // Maps a physical drag offset to the slide it reveals. Dragging towards the
+  // start edge reveals the following slide.
+  getDragDirection(offset) {
+    if (!offset) return null;
+    const towardsStart =
+      this.isVertical || !this.isRTL ? offset < 0 : offset > 0;
+    return towardsStart ? "next" : "prev";
+  },
+
+  // Without a loop there is nothing past the first and last page, so the
+  // drag resists more the further it is pulled beyond them.
+  applyDragResistance(offset) {
+    if (this.loop) return offset;
+
+    const direction = this.getDragDirection(offset);
+    const page = this.getPageForSlide(this.activeIndex);
+    const atEdge =
+      (direction === "prev" && page === 1) ||
+      (direction === "next" && page === this.getPageCount());
+
+    if (!atEdge) return offset;
+
+    const size = this.slideSize || this.el.clientWidth || 1;
+    const distance = Math.abs(offset);
+    return Math.sign(offset) * size * (1 - 1 / ((distance * 0.55) / size + 1));
+  },
+
+  renderDragOffset(offset, animate = false) {
+    if (this.track) {
+      if (offset) this.applyTrackPosition(animate, offset);
+      return;
+    }
+
+    const slide = this.slides[this.activeIndex - 1];
+    if (!slide) return;
+    slide.style.transform = offset
+      ? this.isVertical
+        ? `translateY(${offset}px)`
+        : `translateX(${offset}px)`
+      : "";
   },
 
   setupResizeHandling() {
@@ -270,6 +855,17 @@ const Carousel = {
 
     this.resizeTimeout = setTimeout(() => {
       this.updateSlideSizes();
+
+      if (this.applyBreakpoint()) {
+        this.activeIndex = this.getPageStart(
+          this.getPageForSlide(this.activeIndex),
+        );
+        if (this.track) this.buildLoopClones();
+        this.updateVisibleSlides(this.activeIndex);
+        this.updateIndicators(this.activeIndex);
+      }
+
+      this.updateTrackLayout();
     }, 100);
   },
 
@@ -289,10 +885,9 @@ const Carousel = {
       this.intersectionObserver = new IntersectionObserver(
         (entries) => {
           entries.forEach((entry) => {
+            this.isInView = entry.isIntersecting;
             if (entry.isIntersecting) {
-              if (this.shouldAutoplay && !this.isHovered && !this.isTouching) {
-                this.startAutoplay();
-              }
+              this.startAutoplay();
             } else {
               this.stopAutoplay();
             }
@@ -305,16 +900,12 @@ const Carousel = {
   },
 
   handlePrevClick(e) {
-    const targetIndex =
-      this.activeIndex > 1 ? this.activeIndex - 1 : this.totalSlides;
-    this.navigateToSlide(targetIndex);
+    this.navigateToSlide(this.getPrevIndex(), "prev");
     e.stopPropagation();
   },
 
   handleNextClick(e) {
-    const targetIndex =
-      this.activeIndex < this.totalSlides ? this.activeIndex + 1 : 1;
-    this.navigateToSlide(targetIndex);
+    this.navigateToSlide(this.getNextIndex(), "next");
     e.stopPropagation();
   },
 
@@ -323,7 +914,7 @@ const Carousel = {
     this.navigateToSlide(targetIndex);
   },
 
-  navigateToSlide(targetIndex) {
+  navigateToSlide(targetIndex, direction, origin = this.el) {
     // Validate targetIndex strictly
     if (
       !/^\d+$/.test(String(targetIndex)) ||
@@ -343,10 +934,22 @@ const Carousel = {
     }
 
     const targetImage = targetSlide.querySelector("img");
+    const previousIndex = this.activeIndex;
 
     this.announceSlideChange(targetIndex);
 
-    this.performSlideTransition(currentSlide, targetSlide, targetIndex);
+    this.performSlideTransition(
+      currentSlide,
+      targetSlide,
+      targetIndex,
+      direction,
+    );
+
+    this.restartAutoplayCycle();
+
+    if (this.lazy) {
+      this.updateLazySlides(targetIndex);
+    }
 
     if (
       targetImage &&
@@ -359,12 +962,65 @@ const Carousel = {
     const event = new CustomEvent("carousel:slide-changed", {
       bubbles: true,
       detail: {
-        previousIndex: parseInt(this.activeIndex, 10),
+        previousIndex: parseInt(previousIndex, 10),
         currentIndex: parseInt(targetIndex, 10),
         totalSlides: parseInt(this.totalSlides, 10),
+        origin,
       },
     });
     this.el.dispatchEvent(event);
+
+    this.pushServerEvent(previousIndex, targetIndex);
+  },
+
+  // Server pushes are shared by every hook on the page, so each event names
+  // the carousel it targets with `id`.
+  setupServerEvents() {
+    const handlers = {
+      "carousel:goto": ({ index }) => {
+        const targetIndex = this.sanitizeNumber(index);
+        if (targetIndex < 1 || targetIndex > this.totalSlides) {
+          console.warn(`Invalid slide index: ${index}`);
+          return;
+        }
+        this.handleIndicatorClick(
+          this.getPageStart(this.getPageForSlide(targetIndex)),
+        );
+      },
+      "carousel:next": () => this.handleNextClick(new Event("server")),
+      "carousel:prev": () => this.handlePrevClick(new Event("server")),
+      "carousel:play": () => {
+        this.shouldAutoplay = true;
+        if (!this.intersectionObserver) {
+          this.setupIntersectionObserver();
+        }
+        this.startAutoplay();
+      },
+      "carousel:pause": () => {
+        this.shouldAutoplay = false;
+        clearTimeout(this.userInteractionTimeout);
+        this.stopAutoplay();
+      },
+    };
+
+    Object.entries(handlers).forEach(([event, handler]) => {
+      this.handleEvent(event, (payload = {}) => {
+        if (payload.id !== this.el.id) return;
+        handler(payload);
+      });
+    });
+  },
+
+  pushServerEvent(previousIndex, currentIndex) {
+    // A late transition or timer must not report on a removed carousel
+    if (!this.serverEvents || !this.el.isConnected) return;
+
+    this.pushEvent(this.eventHandler, {
+      id: this.el.id,
+      previous_index: previousIndex,
+      current_index: currentIndex,
+      total_slides: this.totalSlides,
+    });
   },
 
   announceSlideChange(targetIndex) {
@@ -382,7 +1038,21 @@ const Carousel = {
     liveRegion.textContent = `Slide ${targetIndex} of ${this.totalSlides}`;
   },
 
-  performSlideTransition(currentSlide, targetSlide, targetIndex) {
+  performSlideTransition(currentSlide, targetSlide, targetIndex, direction) {
+    this.updateThumbnails(targetIndex);
+
+    if (this.track) {
+      this.updateVisibleSlides(targetIndex);
+      this.updateIndicators(targetIndex);
+      this.activeIndex = targetIndex;
+      this.moveTrackTo(targetIndex, direction);
+
+      if (this.shouldFocusSlide) {
+        targetSlide.focus({ preventScroll: true });
+      }
+      return;
+    }
+
     currentSlide.classList.add("transition-opacity", "duration-300");
     targetSlide.classList.add("transition-opacity", "duration-300");
 
@@ -403,20 +1073,108 @@ const Carousel = {
     }
   },
 
+  // Every indicator stands for a page, extra ones are hidden when several
+  // slides are shown or moved at once.
   updateIndicators(targetIndex) {
+    const activePage = this.getPageForSlide(targetIndex);
+    const pageCount = this.getPageCount();
+    const paged = this.slidesPerView > 1 || this.slidesPerGroup > 1;
+
     this.indicators?.forEach((indicator, index) => {
-      const isActive = index + 1 === targetIndex;
+      indicator.hidden = index >= pageCount;
+      this.toggleIndicatorState(indicator, index + 1 === activePage);
+      indicator.setAttribute(
+        "aria-label",
+        paged ? `Go to page ${index + 1}` : `Go to slide ${index + 1}`,
+      );
+    });
+  },
 
-      if (isActive) {
-        indicator.classList.add(this.classes.activeIndicator);
-        indicator.setAttribute("aria-current", "true");
-      } else {
-        indicator.classList.remove(this.classes.activeIndicator);
-        indicator.setAttribute("aria-current", "false");
-      }
+  updateThumbnails(targetIndex, currentIndex = targetIndex) {
+    let activeThumbnail = null;
+
+    this.thumbnails.forEach((thumbnail) => {
+      const index = this.sanitizeNumber(thumbnail.dataset.thumbnailIndex);
+      const isActive = this.isSlideVisible(index, targetIndex);
 
-      indicator.setAttribute("aria-label", `Go to slide ${index + 1}`);
+      thumbnail.classList.toggle(this.classes.activeThumbnail, isActive);
+      thumbnail.setAttribute("aria-current", String(index === currentIndex));
+      if (index === currentIndex) activeThumbnail = thumbnail;
     });
+
+    if (activeThumbnail) {
+      this.scrollThumbnailIntoView(activeThumbnail);
+    }
+  },
+
+  // Scrolls only the strip, `scrollIntoView` would also move the page.
+  scrollThumbnailIntoView(thumbnail) {
+    const strip = this.thumbnailStrip;
+    const stripRect = strip.getBoundingClientRect();
+    const thumbRect = thumbnail.getBoundingClientRect();
+    const isColumn = strip.scrollHeight > strip.clientHeight;
+    const behavior = this.reducedMotion ? "auto" : "smooth";
+
+    if (isColumn) {
+      const offset = thumbRect.top - stripRect.top + strip.scrollTop;
+      if (
+        thumbRect.top < stripRect.top ||
+        thumbRect.bottom > stripRect.bottom
+      ) {
+        strip.scrollTo({
+          top: offset - (strip.clientHeight - thumbRect.height) / 2,
+          behavior,
+        });
+      }
+    } else if (
+      thumbRect.left < stripRect.left ||
+      thumbRect.right > stripRect.right
+    ) {
+      const offset = thumbRect.left - stripRect.left + strip.scrollLeft;
+      strip.scrollTo({
+        left: offset - (strip.clientWidth - thumbRect.width) / 2,
+        behavior,
+      });
+    }
+  },
+
+  // Carousels are linked when either side names the other in
+  // `data-sync-with`. Forwarding the original `origin` keeps a pair of linked
+  // carousels from bouncing the same change back and forth.
+  handleSyncedSlideChange(e) {
+    const source = e.target;
+    const { currentIndex, origin } = e.detail || {};
+
+    if (source === this.el || origin === this.el) return;
+
+    const isLinked =
+      (this.syncWith && this.safeMatches(source, this.syncWith)) ||
+      (source.dataset?.syncWith &&
+        this.safeMatches(this.el, source.dataset.syncWith));
+    if (!isLinked) return;
+
+    if (
+      !/^\d+$/.test(String(currentIndex)) ||
+      currentIndex > this.totalSlides
+    ) {
+      return;
+    }
+
+    const targetIndex = this.getPageStart(this.getPageForSlide(currentIndex));
+    if (targetIndex !== this.activeIndex) {
+      this.navigateToSlide(targetIndex, undefined, origin || source);
+    }
+    // Several slides per view can hold the linked slide on another position.
+    this.updateThumbnails(this.activeIndex, currentIndex);
+  },
+
+  safeMatches(element, selector) {
+    try {
+      return element.matches(selector);
+    } catch (error) {
+      console.warn(`Invalid carousel sync selector: ${selector}`);
+      return false;
+    }
   },
 
   selectSlide(index) {
@@ -425,44 +1183,196 @@ const Carousel = {
 
   setupAutoplay() {
     if (this.shouldAutoplay) {
+      this.resetProgress();
       this.startAutoplay();
     }
   },
 
+  canAutoplay() {
+    if (!this.shouldAutoplay || this.isDragging || this.isFocused) return false;
+    if (this.isHovered && this.el.dataset.pauseOnHover !== "false") {
+      return false;
+    }
+    return this.isInView && !document.hidden;
+  },
+
+  // A slide's own `data-duration` overrides the carousel-wide interval.
+  getSlideDuration(index) {
+    const raw = parseInt(this.slides[index - 1]?.dataset.duration, 10);
+    return !isNaN(raw) && raw > 0
+      ? Math.min(raw, 30000)
+      : this.autoplayInterval;
+  },
+
   startAutoplay() {
-    if (this.isHovered && this.el.dataset.pauseOnHover !== "false") return;
-    if (this.isTouching) return;
+    if (this.autoplayTimer || !this.canAutoplay()) return;
 
-    clearInterval(this.autoplayTimer);
-    this.autoplayTimer = setInterval(() => {
-      const nextIndex =
-        this.activeIndex < this.totalSlides ? this.activeIndex + 1 : 1;
-      this.navigateToSlide(nextIndex);
-    }, this.autoplayInterval);
+    if (this.autoplayRemaining === null) {
+      this.autoplayRemaining = this.getSlideDuration(this.activeIndex);
+    }
+
+    this.autoplayStartedAt = performance.now();
+    this.autoplayTimer = setTimeout(() => {
+      this.autoplayTimer = null;
+      this.autoplayRemaining = null;
+      this.navigateToSlide(this.getNextIndex(), "next");
+    }, this.autoplayRemaining);
+
+    this.playProgress();
   },
 
   stopAutoplay() {
-    clearInterval(this.autoplayTimer);
+    if (this.autoplayTimer) {
+      clearTimeout(this.autoplayTimer);
+      const elapsed = performance.now() - this.autoplayStartedAt;
+      this.autoplayRemaining = Math.max(0, this.autoplayRemaining - elapsed);
+    }
+    this.autoplayTimer = null;
+    this.pauseProgress();
+  },
+
+  // Every new slide gets its full duration and a fresh progress indicator.
+  // The timer callback has already cleared `autoplayTimer` by the time it
+  // navigates, so the next cycle is scheduled whenever autoplay may run.
+  restartAutoplayCycle() {
+    clearTimeout(this.autoplayTimer);
     this.autoplayTimer = null;
+    this.autoplayRemaining = null;
+    this.resetProgress();
+
+    if (this.canAutoplay()) {
+      this.startAutoplay();
+    }
+  },
+
+  resetProgress() {
+    this.progressAnimation?.cancel();
+    this.progressElement?.remove();
+    this.progressAnimation = null;
+    this.progressElement = null;
+
+    if (!this.autoplayProgress || !this.shouldAutoplay) return;
+
+    const indicator =
+      this.indicators[this.getPageForSlide(this.activeIndex) - 1];
+    if (!indicator || indicator.hidden) return;
+
+    const element =
+      this.autoplayProgress === "ring"
+        ? this.createProgressRing()
+        : this.createProgressBar(indicator);
+    if (typeof element.animate !== "function") return;
+
+    const target =
+      this.autoplayProgress === "ring"
+        ? element.querySelector("circle")
+        : element;
+    const keyframes =
+      this.autoplayProgress === "ring"
+        ? [{ strokeDashoffset: 100 }, { strokeDashoffset: 0 }]
+        : [{ transform: "scaleX(0)" }, { transform: "scaleX(1)" }];
+
+    indicator.appendChild(element);
+    this.progressElement = element;
+    this.progressAnimation = target.animate(keyframes, {
+      duration: this.getSlideDuration(this.activeIndex),
+      easing: "linear",
+      fill: "forwards",
+    });
+    this.progressAnimation.pause();
+  },
+
+  createProgressBar(indicator) {
+    indicator.style.position = "relative";
+    indicator.style.overflow = "hidden";
+
+    const bar = document.createElement("span");
+    bar.className = "carousel-progress";
+    bar.setAttribute("aria-hidden", "true");
+    bar.style.position = "absolute";
+    bar.style.inset = "0";
+    bar.style.transformOrigin = this.isRTL ? "right" : "left";
+    bar.style.transform = "scaleX(0)";
+    return bar;
+  },
+
+  createProgressRing() {
+    const svgNS = "http://www.w3.org/2000/svg";
+    const svg = document.createElementNS(svgNS, "svg");
+    svg.setAttribute("class", "carousel-progress");
+    svg.setAttribute("viewBox", "0 0 36 36");
+    svg.setAttribute("aria-hidden", "true");
+    svg.style.position = "absolute";
+    svg.style.inset = "-4px";
+    svg.style.transform = "rotate(-90deg)";
+    svg.style.pointerEvents = "none";
+
+    const circle = document.createElementNS(svgNS, "circle");
+    circle.setAttribute("cx", "18");
+    circle.setAttribute("cy", "18");
+    circle.setAttribute("r", "16");
+    circle.setAttribute("fill", "none");
+    circle.setAttribute("stroke", "currentColor");
+    circle.setAttribute("stroke-width", "3");
+    circle.setAttribute("pathLength", "100");
+    circle.setAttribute("stroke-dasharray", "100");
+    circle.setAttribute("stroke-dashoffset", "100");
+    svg.appendChild(circle);
+
+    this.indicators.forEach((indicator) => {
+      indicator.style.position = "relative";
+    });
+    return svg;
+  },
+
+  syncProgressTime() {
+    if (!this.progressAnimation || this.autoplayRemaining === null) return;
+
+    const duration = this.getSlideDuration(this.activeIndex);
+    this.progressAnimation.currentTime = duration - this.autoplayRemaining;
+  },
+
+  playProgress() {
+    if (!this.progressAnimation) this.resetProgress();
+    this.syncProgressTime();
+    this.progressAnimation?.play();
+  },
+
+  pauseProgress() {
+    this.progressAnimation?.pause();
+    this.syncProgressTime();
   },
 
   handleUserInteraction() {
     this.stopAutoplay();
     clearTimeout(this.userInteractionTimeout);
     this.userInteractionTimeout = setTimeout(() => {
-      if (this.shouldAutoplay && !this.isHovered && !this.isTouching) {
-        this.startAutoplay();
-      }
+      this.startAutoplay();
     }, this.userInteractionDelay);
   },
 
   showInitialSlide() {
+    this.updateVisibleSlides(this.activeIndex);
+    this.updateIndicators(this.activeIndex);
+    this.updateThumbnails(this.activeIndex);
+    if (this.lazy) {
+      this.updateLazySlides(this.activeIndex);
+    }
+  },
+
+  isSlideVisible(index, leadingIndex) {
+    const offset = this.loop
+      ? (index - leadingIndex + this.totalSlides) % this.totalSlides
+      : index - leadingIndex;
+    return offset >= 0 && offset < this.slidesPerView;
+  },
+
+  updateVisibleSlides(leadingIndex) {
     this.slides.forEach((slide, index) => {
-      const isActive = index + 1 === this.activeIndex;
-      this.toggleSlideVisibility(slide, isActive);
-      if (this.indicators[index]) {
-        this.toggleIndicatorState(this.indicators[index], isActive);
-      }
+      this.toggleSlideVisibility(
+        slide,
+        this.isSlideVisible(index + 1, leadingIndex),
+      );
     });
   },
 
@@ -496,6 +1406,8 @@ const Carousel = {
       if (!overlay) return;
 
       const slide = img.closest(".slide");
+      const isDeferred = this.lazy && img.dataset.src;
+
       if (slide) {
         slide.style.minHeight = "300px";
         overlay.style.minHeight = "300px";
@@ -503,6 +1415,9 @@ const Carousel = {
 
       img.parentNode.insertBefore(overlay, img.nextSibling);
 
+      // Deferred images keep their overlay until `loadImage` requests them.
+      if (isDeferred) return;
+
       if (img.complete && img.naturalWidth > 0) {
         overlay.remove();
         if (slide) {
@@ -516,32 +1431,90 @@ const Carousel = {
           img.loading = "lazy";
         }
 
-        img.addEventListener(
-          "load",
-          () => {
-            overlay.classList.add("fade-out");
-            setTimeout(() => overlay.remove(), 300);
-            if (slide) {
-              slide.style.removeProperty("min-height");
-            }
-          },
-          { once: true },
-        );
+        this.watchImageLoad(img, overlay, slide);
+      }
+    });
+  },
 
-        img.addEventListener(
-          "error",
-          () => {
-            overlay.textContent = "";
-            const errorDiv = document.createElement("div");
-            errorDiv.className = "text-red-500 py-10";
-            errorDiv.textContent = "Failed to load image";
-            overlay.appendChild(errorDiv);
-            overlay.classList.remove("animate-pulse");
-          },
-          { once: true },
-        );
+  watchImageLoad(img, overlay, slide) {
+    img.addEventListener(
+      "load",
+      () => {
+        overlay.classList.add("fade-out");
+        setTimeout(() => overlay.remove(), 300);
+        if (slide) {
+          slide.style.removeProperty("min-height");
+        }
+      },
+      { once: true },
+    );
+
+    img.addEventListener(
+      "error",
+      () => {
+        overlay.textContent = "";
+        const errorDiv = document.createElement("div");
+        errorDiv.className = "text-red-500 py-10";
+        errorDiv.textContent = "Failed to load image";
+        overlay.appendChild(errorDiv);
+        overlay.classList.remove("animate-pulse");
+      },
+      { once: true },
+    );
+  },
+
+  // Loads the slides shown from `leadingIndex` on, `lazyNeighbors` slides on
+  // each side of them and, while autoplaying, the page that comes next.
+  updateLazySlides(leadingIndex) {
+    const total = this.totalSlides;
+    const from = leadingIndex - this.lazyNeighbors;
+    const to = leadingIndex + this.slidesPerView - 1 + this.lazyNeighbors;
+    const indexes = new Set();
+
+    for (let index = from; index <= to; index++) {
+      indexes.add(((((index - 1) % total) + total) % total) + 1);
+    }
+
+    if (this.shouldAutoplay) {
+      const nextIndex = this.getNextIndex();
+      for (let i = 0; i < this.slidesPerView; i++) {
+        indexes.add(((nextIndex - 1 + i) % total) + 1);
+      }
+    }
+
+    // Nearest slides are requested first so they win the connection race.
+    Array.from(indexes)
+      .sort((a, b) => Math.abs(a - leadingIndex) - Math.abs(b - leadingIndex))
+      .forEach((index) => this.loadSlideImages(index));
+  },
+
+  loadSlideImages(index) {
+    const slide = this.slides[index - 1];
+    if (!slide) return;
+
+    slide.querySelectorAll("img[data-src]").forEach((img) => {
+      const overlay = document.getElementById(img.id + "-loading");
+      if (overlay) {
+        this.watchImageLoad(img, overlay, slide);
       }
+      this.loadImage(img);
     });
+
+    this.track
+      ?.querySelectorAll(`[data-carousel-clone="${index}"] img[data-src]`)
+      .forEach((img) => this.loadImage(img));
+  },
+
+  loadImage(img) {
+    const { src, srcset } = img.dataset;
+    if (!src) return;
+
+    if (srcset) {
+      img.srcset = srcset;
+      img.removeAttribute("data-srcset");
+    }
+    img.src = src;
+    img.removeAttribute("data-src");
   },
 
   createLoadingOverlay(img) {
@@ -7,6 +7,14 @@
  * - Organization: Cleaner code structure with the original object pattern
  * - Accessibility: Enhanced ARIA support
  */
+
+// Copies made during this page session, shared by every Clipboard hook.
+// Listen for `clipboard:history` on `window` to build a "recently copied"
+// panel and dispatch `clipboard:history-request` to get the current list.
+const copyHistory = [];
+const COPY_HISTORY_LIMIT = 20;
+let historyRequestListener = null;
+
 const Clipboard = {
   /**
    * Initialize the clipboard component
@@ -19,6 +27,15 @@ const Clipboard = {
     this.initializeConfig();
     this.initializeElements();
     this.setupEventListeners();
+    this.setupHistoryRequests();
+    this.maskSensitiveContent();
+  },
+
+  /**
+   * Mask sensitive content again after LiveView patches the component
+   */
+  updated() {
+    this.maskSensitiveContent();
   },
 
   /**
@@ -95,6 +112,42 @@ const Clipboard = {
 
     // Parse boolean values
     this.dynamicLabel = String(dataset.dynamicLabel).toLowerCase() === "true";
+
+    // Parse the clipboard format, plain text unless a known format is set
+    const formats = ["text", "html", "image", "json", "csv", "tsv"];
+    this.copyFormat = formats.includes(dataset.copyFormat)
+      ? dataset.copyFormat
+      : "text";
+
+    // Parse text transforms applied before copying
+    this.stripPrompts = dataset.stripPrompts === "true";
+    this.stripLineNumbers = dataset.stripLineNumbers === "true";
+    this.trimIndent = dataset.trimIndent === "true";
+    this.copyTemplate = dataset.copyTemplate || null;
+
+    // Parse copy notifications, content is only shared when opted in
+    this.serverEvents = dataset.serverEvents === "true";
+    this.sensitive = dataset.sensitive === "true";
+    this.eventHandler = dataset.eventHandler || "clipboard_copied";
+    this.includeContent =
+      dataset.includeContent === "true" && dataset.sensitive !== "true";
+
+    // Parse the delay before a copied secret is cleared from the clipboard
+    const clearAfter = parseInt(dataset.clearAfter, 10);
+    this.clearAfter =
+      !isNaN(clearAfter) && clearAfter >= 0 ? Math.min(clearAfter, 3600) : 30;
+    this.sensitiveSuccessText = this.sanitizeText(
+      dataset.sensitiveSuccessText || "Copied, will clear in {seconds}s",
+    );
+    this.clearedText = this.sanitizeText(
+      dataset.clearedText || "Clipboard cleared",
+    );
+
+    // A separator joins every element matched by the target selector
+    this.separator =
+      dataset.separator === undefined
+        ? null
+        : dataset.separator.replace(/\\n/g, "\n").replace(/\\t/g, "\t");
   },
 
   /**
@@ -157,16 +210,28 @@ const Clipboard = {
   /**
    * Sanitize text content
    * @param {string} text - Text to sanitize
+   * @param {Object} [options]
+   * @param {number} [options.maxLength=100] - Maximum length kept
+   * @param {boolean} [options.escape=true] - Escape HTML characters; text
+   *   that is only ever assigned as a value or text node skips this
    * @returns {string} - Sanitized text
    */
-  sanitizeText(text) {
+  sanitizeText(text, { maxLength = 100, escape = true } = {}) {
     if (!text || typeof text !== "string") {
       return "";
     }
 
-    // Limit length and escape sensitive characters
-    return text
-      .slice(0, 100)
+    // Drop control characters except tab and line breaks, then limit length
+    const cleaned = text
+      .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]/g, "")
+      .slice(0, maxLength);
+
+    if (!escape) {
+      return cleaned;
+    }
+
+    // Escape sensitive characters
+    return cleaned
       .replace(/&/g, "&amp;")
       .replace(/</g, "&lt;")
       .replace(/>/g, "&gt;")
@@ -201,6 +266,10 @@ const Clipboard = {
    * @returns {Promise<boolean>} - Success status
    */
   async handleCopy() {
+    if (this.copyFormat === "image") {
+      return this.copyImage();
+    }
+
     const text = this.getTextToCopy();
     if (!text) {
       this.showStatus(false);
@@ -208,10 +277,23 @@ const Clipboard = {
     }
 
     try {
+      // Rich formats travel next to plain text for targets that ignore them
+      if (this.copyFormat === "html" && this.supportsClipboardItems()) {
+        const html = this.getHtmlToCopy(text);
+        await navigator.clipboard.write([
+          new ClipboardItem({
+            "text/plain": new Blob([text], { type: "text/plain" }),
+            "text/html": new Blob([html], { type: "text/html" }),
+          }),
+        ]);
+        this.handleCopied(text);
+        return true;
+      }
+
       // Use modern Clipboard API with fallback
       if (navigator.clipboard && navigator.clipboard.writeText) {
         await navigator.clipboard.writeText(text);
-        this.showStatus(true);
+        this.handleCopied(text);
         return true;
       } else {
         return this.fallbackCopyTextToClipboard(text);
@@ -223,6 +305,287 @@ const Clipboard = {
     }
   },
 
+  /**
+   * Finish a successful text copy
+   * @param {string} text - Copied text
+   */
+  handleCopied(text) {
+    this.recordCopy(text);
+
+    if (this.sensitive && this.clearAfter > 0) {
+      this.scheduleClipboardClear(text);
+      this.showStatus(
+        true,
+        this.sensitiveSuccessText.replace(/\{seconds\}/g, this.clearAfter),
+      );
+    } else {
+      this.showStatus(true);
+    }
+  },
+
+  /**
+   * Keep sensitive values of external targets in memory and mask them on the
+   * page. The component's own text and content are masked by the server.
+   */
+  maskSensitiveContent() {
+    if (!this.sensitive || !this.el.dataset.targetSelector) return;
+
+    // Masked text is kept per element; a patch that re-renders the element
+    // also drops the marker, so its fresh text is picked up again
+    this.maskedSecrets = this.maskedSecrets || new WeakMap();
+
+    this.getCopyTargets().forEach((el) => {
+      if (el.tagName === "INPUT") {
+        el.type = "password";
+      } else if (el.tagName === "TEXTAREA") {
+        el.style.webkitTextSecurity = "disc";
+      } else if (!el.hasAttribute("data-clipboard-masked")) {
+        this.maskedSecrets.set(el, this.extractText(el));
+        el.setAttribute("data-clipboard-masked", "");
+        el.textContent = this.el.dataset.mask || "••••••••••••";
+      }
+    });
+  },
+
+  /**
+   * Read a target's current text, or the secret hidden behind its mask
+   * @param {HTMLElement} el - Copy target
+   * @returns {string|null} - Text of the target
+   */
+  getTargetText(el) {
+    if (
+      el.hasAttribute("data-clipboard-masked") &&
+      this.maskedSecrets?.has(el)
+    ) {
+      return this.maskedSecrets.get(el);
+    }
+    return this.extractText(el);
+  },
+
+  /**
+   * Overwrite the clipboard once the timeout passes, but only while it still
+   * holds the copied secret so newer clipboard contents are left alone
+   * @param {string} secret - Copied secret
+   */
+  scheduleClipboardClear(secret) {
+    // Not cancelled on destroy, the secret outlives the component otherwise
+    clearTimeout(this.clipboardClear);
+    this.clipboardClear = setTimeout(() => {
+      this.clipboardClear = null;
+
+      // Clipboard access needs a focused document, so wait for the user
+      if (!document.hasFocus()) {
+        window.addEventListener("focus", () => this.clearClipboard(secret), {
+          once: true,
+        });
+        return;
+      }
+
+      this.clearClipboard(secret);
+    }, this.clearAfter * 1000);
+  },
+
+  /**
+   * Clear the clipboard when it still contains the secret
+   * @param {string} secret - Copied secret
+   * @returns {Promise<boolean>} - Whether the clipboard was cleared
+   */
+  async clearClipboard(secret) {
+    const clipboard = navigator.clipboard;
+    if (!clipboard || !clipboard.readText || !clipboard.writeText) return false;
+
+    try {
+      if ((await clipboard.readText()) !== secret) return false;
+
+      await clipboard.writeText("");
+      this.announceToScreenReader(this.clearedText);
+      return true;
+    } catch (error) {
+      // Reading needs a permission the user may refuse, leave it as it is
+      console.warn("Clipboard could not be cleared:", error);
+      return false;
+    }
+  },
+
+  /**
+   * Answer history requests once for all Clipboard hooks on the page
+   */
+  setupHistoryRequests() {
+    if (historyRequestListener) return;
+
+    historyRequestListener = () => Clipboard.emitHistory();
+    window.addEventListener(
+      "clipboard:history-request",
+      historyRequestListener,
+    );
+  },
+
+  /**
+   * Broadcast a copy of the session copy history
+   */
+  emitHistory() {
+    window.dispatchEvent(
+      new CustomEvent("clipboard:history", {
+        detail: { entries: copyHistory.map((entry) => ({ ...entry })) },
+      }),
+    );
+  },
+
+  /**
+   * Add a successful copy to the history and notify the LiveView
+   * @param {string|null} text - Copied text, null for images
+   * @returns {Promise<Object|null>} - History entry or null if recording failed
+   */
+  async recordCopy(text) {
+    // Called without awaiting after the copy, so it must never reject
+    try {
+      const entry = {
+        id: this.el.id,
+        format: this.copyFormat,
+        sensitive: this.sensitive,
+        length: text ? text.length : null,
+        hash: text ? await this.hashText(text) : null,
+        copied_at: new Date().toISOString(),
+      };
+
+      if (this.includeContent && text) {
+        entry.content = text;
+      }
+
+      copyHistory.unshift(entry);
+      copyHistory.splice(COPY_HISTORY_LIMIT);
+      Clipboard.emitHistory();
+
+      if (this.serverEvents) {
+        this.pushEvent(this.eventHandler, entry);
+      }
+
+      return entry;
+    } catch (error) {
+      console.error("Recording the copy failed:", error);
+      return null;
+    }
+  },
+
+  /**
+   * Hash copied text so copies can be audited without revealing them
+   * @param {string} text - Text to hash
+   * @returns {Promise<string|null>} - Hex encoded SHA-256 or null if unavailable
+   */
+  async hashText(text) {
+    // `crypto.subtle` only exists on secure origins, plain http has no hash
+    if (!window.crypto?.subtle || typeof TextEncoder === "undefined") {
+      return null;
+    }
+
+    try {
+      const digest = await window.crypto.subtle.digest(
+        "SHA-256",
+        new TextEncoder().encode(text),
+      );
+      return Array.from(new Uint8Array(digest), (byte) =>
+        byte.toString(16).padStart(2, "0"),
+      ).join("");
+    } catch (error) {
+      console.error("Hashing copied text failed:", error);
+      return null;
+    }
+  },
+
+  /**
+   * Check whether the browser can write typed clipboard items
+   * @returns {boolean} - Support status
+   */
+  supportsClipboardItems() {
+    return (
+      typeof ClipboardItem !== "undefined" &&
+      Boolean(navigator.clipboard && navigator.clipboard.write)
+    );
+  },
+
+  /**
+   * Copy an image or canvas target as a PNG
+   * @returns {Promise<boolean>} - Success status
+   */
+  async copyImage() {
+    const target = this.getCopyTarget();
+    const source = target?.matches("img, canvas")
+      ? target
+      : target?.querySelector("img, canvas");
+
+    if (!source || !this.supportsClipboardItems()) {
+      this.showStatus(false);
+      return false;
+    }
+
+    try {
+      // Safari only keeps the user gesture when the item gets a pending blob
+      await navigator.clipboard.write([
+        new ClipboardItem({ "image/png": this.imageToBlob(source) }),
+      ]);
+      this.recordCopy(null);
+      this.showStatus(true);
+      return true;
+    } catch (error) {
+      console.error("Clipboard image copy failed:", error);
+      this.showStatus(false);
+      return false;
+    }
+  },
+
+  /**
+   * Encode an image or canvas element as a PNG blob
+   * @param {HTMLImageElement|HTMLCanvasElement} source - Element to encode
+   * @returns {Promise<Blob>} - PNG image data
+   */
+  async imageToBlob(source) {
+    let canvas = source;
+
+    if (source.tagName === "IMG") {
+      if (!source.complete) await source.decode();
+
+      canvas = document.createElement("canvas");
+      canvas.width = source.naturalWidth;
+      canvas.height = source.naturalHeight;
+      canvas.getContext("2d").drawImage(source, 0, 0);
+    }
+
+    // Cross-origin images without CORS headers taint the canvas and throw here
+    return new Promise((resolve, reject) => {
+      canvas.toBlob((blob) => {
+        if (blob) {
+          resolve(blob);
+        } else {
+          reject(new Error("Image could not be encoded"));
+        }
+      }, "image/png");
+    });
+  },
+
+  /**
+   * Get the HTML version of the copied content
+   * @param {string} text - Plain text being copied
+   * @returns {string} - HTML markup
+   */
+  getHtmlToCopy(text) {
+    const targets = this.el.dataset.clipboardText ? [] : this.getCopyTargets();
+    const [target] = targets;
+
+    // Markup of the target only matches the text when nothing rewrote it
+    if (
+      targets.length === 1 &&
+      !this.hasTextTransforms() &&
+      target.tagName !== "INPUT" &&
+      target.tagName !== "TEXTAREA"
+    ) {
+      return target.innerHTML;
+    }
+
+    const wrapper = document.createElement("div");
+    wrapper.textContent = text;
+    return wrapper.innerHTML;
+  },
+
   /**
    * Legacy fallback for clipboard operations
    * @param {string} text - Text to copy
@@ -253,7 +616,11 @@ const Clipboard = {
       document.body.removeChild(textArea);
     }
 
-    this.showStatus(succeeded);
+    if (succeeded) {
+      this.handleCopied(text);
+    } else {
+      this.showStatus(false);
+    }
     return succeeded;
   },
 
@@ -266,23 +633,261 @@ const Clipboard = {
 
     // Priority 1: Explicit text in data attribute
     if (dataset.clipboardText) {
-      return dataset.clipboardText;
+      return this.applyCopyTemplate(this.transformText(dataset.clipboardText));
     }
 
-    // Priority 2: Text from targeted element via selector
+    // Priority 2: Targeted elements, falling back to the content element
+    const targets = this.getCopyTargets();
+    if (!targets.length) return null;
+
+    if (!this.sensitive && ["json", "csv", "tsv"].includes(this.copyFormat)) {
+      return this.applyCopyTemplate(this.serializeElement(targets[0]));
+    }
+
+    const values = targets.map((el) => this.getTargetText(el));
+    const text = values
+      .map((value) => this.transformText(value))
+      .filter(Boolean)
+      .join(this.separator ?? "");
+
+    return this.applyCopyTemplate(text);
+  },
+
+  /**
+   * Get the element whose content is copied
+   * @returns {HTMLElement|null} - Target element or null if not found
+   */
+  getCopyTarget() {
+    return this.getCopyTargets()[0] || null;
+  },
+
+  /**
+   * Get every element whose content is copied, all matches of the target
+   * selector when a separator is configured and the first one otherwise
+   * @returns {HTMLElement[]} - Target elements
+   */
+  getCopyTargets() {
+    const { dataset } = this.el;
+
     if (dataset.targetSelector) {
       try {
+        if (this.separator !== null) {
+          return Array.from(document.querySelectorAll(dataset.targetSelector));
+        }
+
         const el = document.querySelector(dataset.targetSelector);
-        return el ? this.extractText(el) : null;
+        return el ? [el] : [];
       } catch (error) {
         console.error("Error selecting target element:", error);
-        return null;
+        return [];
       }
     }
 
-    // Priority 3: Text from designated content element
     const contentEl = this.el.querySelector(".clipboard-content");
-    return contentEl ? this.extractText(contentEl) : null;
+    return contentEl ? [contentEl] : [];
+  },
+
+  /**
+   * Check whether any text transform is configured
+   * @returns {boolean} - Whether copied text differs from the source text
+   */
+  hasTextTransforms() {
+    return (
+      this.stripPrompts ||
+      this.stripLineNumbers ||
+      this.trimIndent ||
+      Boolean(this.copyTemplate)
+    );
+  },
+
+  /**
+   * Apply the configured transforms to copied text
+   * @param {string|null} text - Text to transform
+   * @returns {string|null} - Transformed text
+   */
+  transformText(text) {
+    if (
+      !text ||
+      !(this.stripPrompts || this.stripLineNumbers || this.trimIndent)
+    ) {
+      return text;
+    }
+
+    let lines = text.replace(/\r\n?/g, "\n").split("\n");
+
+    // Line numbers only count as such when every non-empty line has one
+    if (this.stripLineNumbers) {
+      const numbered = /^\s*\d+(?:[:.|]\s?|\s+)/;
+      const filled = lines.filter((line) => line.trim() !== "");
+
+      if (filled.length && filled.every((line) => numbered.test(line))) {
+        lines = lines.map((line) => line.replace(numbered, ""));
+      }
+    }
+
+    if (this.stripPrompts) {
+      lines = lines.map((line) => line.replace(/^(\s*)\$ /, "$1"));
+    }
+
+    if (this.trimIndent) {
+      while (lines.length && lines[0].trim() === "") lines.shift();
+      while (lines.length && lines[lines.length - 1].trim() === "") lines.pop();
+
+      const indent = Math.min(
+        ...lines
+          .filter((line) => line.trim() !== "")
+          .map((line) => line.match(/^[ \t]*/)[0].length),
+      );
+
+      if (indent > 0 && indent !== Infinity) {
+        lines = lines.map((line) => line.slice(indent));
+      }
+    }
+
+    return lines.join("\n");
+  },
+
+  /**
+   * Interpolate copied text into the configured template
+   * @param {string|null} text - Text to interpolate
+   * @returns {string|null} - Final text
+   */
+  applyCopyTemplate(text) {
+    if (!text || !this.copyTemplate) return text;
+    return this.copyTemplate.replace(/\{value\}/g, () => text);
+  },
+
+  /**
+   * Serialize a form or table inside the target as JSON, CSV or TSV
+   * @param {HTMLElement} el - Target element
+   * @returns {string|null} - Serialized data or null
+   */
+  serializeElement(el) {
+    const source = el.matches("form, table")
+      ? el
+      : el.querySelector("form, table");
+
+    if (!source) return this.extractText(el);
+
+    const rows =
+      source.tagName === "FORM"
+        ? this.formToRows(source)
+        : this.tableToRows(source);
+    if (!rows.length) return null;
+
+    if (this.copyFormat === "json") {
+      return JSON.stringify(
+        source.tagName === "FORM"
+          ? this.formToObject(source)
+          : this.rowsToRecords(source, rows),
+        null,
+        2,
+      );
+    }
+
+    return this.formatRows(rows, this.copyFormat === "csv" ? "," : "\t");
+  },
+
+  /**
+   * Collect copyable form fields, leaving out passwords and files
+   * @param {HTMLFormElement} form - Form to read
+   * @returns {Array<[string, string]>} - Field name and value pairs
+   */
+  formEntries(form) {
+    const skipped = new Set(
+      Array.from(form.elements)
+        .filter((field) => field.name && field.type === "password")
+        .map((field) => field.name),
+    );
+
+    return Array.from(new FormData(form)).filter(
+      ([name, value]) => typeof value === "string" && !skipped.has(name),
+    );
+  },
+
+  /**
+   * Convert form fields to a header row and a value row
+   * @param {HTMLFormElement} form - Form to read
+   * @returns {string[][]} - Rows of cells
+   */
+  formToRows(form) {
+    const entries = this.formEntries(form);
+    if (!entries.length) return [];
+
+    return [entries.map(([name]) => name), entries.map(([, value]) => value)];
+  },
+
+  /**
+   * Convert form fields to an object, repeated names become arrays
+   * @param {HTMLFormElement} form - Form to read
+   * @returns {Object} - Field values by name
+   */
+  formToObject(form) {
+    return this.formEntries(form).reduce((data, [name, value]) => {
+      if (!(name in data)) {
+        data[name] = value;
+      } else {
+        data[name] = [].concat(data[name], value);
+      }
+      return data;
+    }, {});
+  },
+
+  /**
+   * Read the visible text of every table cell
+   * @param {HTMLTableElement} table - Table to read
+   * @returns {string[][]} - Rows of cells
+   */
+  tableToRows(table) {
+    return Array.from(table.rows).map((row) =>
+      Array.from(row.cells).map((cell) =>
+        cell.textContent.replace(/\s+/g, " ").trim(),
+      ),
+    );
+  },
+
+  /**
+   * Turn table rows into records keyed by the header row when there is one
+   * @param {HTMLTableElement} table - Source table
+   * @param {string[][]} rows - Rows of cells
+   * @returns {Array<Object|string[]>} - Records or plain rows
+   */
+  rowsToRecords(table, rows) {
+    const firstRow = table.rows[0];
+    const hasHeader =
+      firstRow &&
+      Array.from(firstRow.cells).every((cell) => cell.tagName === "TH");
+
+    if (!hasHeader) return rows;
+
+    const [header, ...body] = rows;
+    return body.map((row) =>
+      header.reduce((record, key, index) => {
+        record[key] = row[index] ?? "";
+        return record;
+      }, {}),
+    );
+  },
+
+  /**
+   * Join rows with a delimiter, quoting CSV cells when needed
+   * @param {string[][]} rows - Rows of cells
+   * @param {string} delimiter - Cell delimiter
+   * @returns {string} - Delimited text
+   */
+  formatRows(rows, delimiter) {
+    const formatCell = (cell) => {
+      const value = String(cell);
+
+      // Tabs and newlines would break a TSV row, spreadsheets expect spaces
+      if (delimiter === "\t") {
+        return value.replace(/[\t\r\n]+/g, " ");
+      }
+
+      return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+    };
+
+    return rows.map((row) => row.map(formatCell).join(delimiter)).join("\n");
   },
 
   /**
@@ -298,23 +903,28 @@ const Clipboard = {
       return el.value;
     }
 
+    // Sensitive content is rendered inside a template so it never displays
+    const root = el.tagName === "TEMPLATE" ? el.content : el;
+
     // Handle code blocks with priority
-    const code = el.querySelector("pre, code");
+    const code = root.querySelector("pre, code");
     if (code) {
       return code.textContent;
     }
 
     // Get clean text content without excessive whitespace
-    return el.textContent.replace(/\s+/g, " ").trim();
+    return root.textContent.replace(/\s+/g, " ").trim();
   },
 
   /**
    * Update UI to show operation status
    * @param {boolean} success - Whether operation succeeded
+   * @param {string} [message] - Sanitized text replacing the default message
    */
-  showStatus(success) {
+  showStatus(success, message) {
     const trigger = this.triggerEl;
     const status = this.statusEl;
+    const statusText = message || (success ? this.successText : this.errorText);
 
     // Update trigger classes
     if (trigger) {
@@ -325,19 +935,19 @@ const Clipboard = {
 
       // Update label if configured
       if (this.dynamicLabel) {
-        this.updateLabel(success);
+        this.updateLabel(success, statusText);
       }
     }
 
     // Update status element
     if (status) {
-      status.textContent = success ? this.successText : this.errorText;
+      status.textContent = statusText;
       status.setAttribute("aria-hidden", "false");
-
-      // Announce to screen readers
-      this.announceToScreenReader(success ? this.successText : this.errorText);
     }
 
+    // Announce to screen readers, also when the status text is hidden
+    this.announceToScreenReader(statusText);
+
     // Schedule reset after timeout
     this.clearTimers();
     this.statusReset = setTimeout(() => this.resetStatus(), this.timeout);
@@ -371,9 +981,10 @@ const Clipboard = {
   /**
    * Update label text based on operation status
    * @param {boolean} success - Success status
+   * @param {string} [message] - Text replacing the default message
    */
-  updateLabel(success) {
-    const statusText = success ? this.successText : this.errorText;
+  updateLabel(success, message) {
+    const statusText = message || (success ? this.successText : this.errorText);
 
     if (this.labelEl) {
       this.labelEl.textContent = statusText;
@@ -0,0 +1,587 @@
+/**
+ * Clipboard Paste Component
+ *
+ * Companion of the Clipboard hook that reads from the clipboard instead of
+ * writing to it:
+ * - Reads on a trigger press (`navigator.clipboard.read/readText`) or on a
+ *   paste event inside the component or its target
+ * - Fills a target input, textarea, file input or editable element
+ * - Optionally pushes the text, HTML or image (as a data URL) to the LiveView
+ * - Shares status feedback, sanitization and the screen reader live region
+ *   with the Clipboard hook
+ */
+import Clipboard from "./clipboard.js";
+
+// Pasted HTML keeps only these elements; anything else is unwrapped to its
+// children, or dropped with its content when it is in PASTE_DROPPED_TAGS.
+const PASTE_ALLOWED_TAGS = new Set(
+  (
+    "a abbr b blockquote br caption cite code dd del div dl dt em " +
+    "figcaption figure h1 h2 h3 h4 h5 h6 hr i img ins kbd li mark ol p " +
+    "pre q s samp small span strong sub sup table tbody td tfoot th thead " +
+    "tr u ul"
+  ).split(" "),
+);
+
+const PASTE_DROPPED_TAGS = new Set(
+  (
+    "base button embed form frame frameset head iframe input link math " +
+    "meta noscript object script select style svg template textarea title"
+  ).split(" "),
+);
+
+const PASTE_ALLOWED_ATTRIBUTES = {
+  "*": ["title", "lang", "dir"],
+  a: ["href"],
+  img: ["src", "alt", "width", "height"],
+  ol: ["start"],
+  td: ["colspan", "rowspan"],
+  th: ["colspan", "rowspan", "scope"],
+};
+
+const PASTE_URL_ATTRIBUTES = new Set(["href", "src"]);
+const PASTE_URL_PROTOCOLS = new Set(["http:", "https:", "mailto:"]);
+
+const ClipboardPaste = {
+  /**
+   * Initialize the paste component
+   */
+  mounted() {
+    this.initializeConfig();
+    this.initializeElements();
+    this.setupEventListeners();
+  },
+
+  /**
+   * Clean up resources when component is removed
+   */
+  destroyed() {
+    this.removeEventListeners();
+    this.clearTimers();
+  },
+
+  /**
+   * Parse configuration from data attributes
+   */
+  initializeConfig() {
+    const { dataset } = this.el;
+
+    // Parse timeout with validation
+    const timeoutValue = parseInt(dataset.timeout, 10);
+    this.timeout =
+      !isNaN(timeoutValue) && timeoutValue > 0 ? timeoutValue : 2000;
+
+    // Parse and sanitize configuration
+    this.successClass = this.sanitizeClassName(
+      dataset.successClass || "clipboard-success",
+    );
+    this.errorClass = this.sanitizeClassName(
+      dataset.errorClass || "clipboard-error",
+    );
+    this.successText = this.sanitizeText(dataset.pasteSuccessText || "Pasted!");
+    this.errorText = this.sanitizeText(
+      dataset.pasteErrorText || "Paste failed",
+    );
+    this.deniedText = this.sanitizeText(
+      dataset.pasteDeniedText || "Clipboard access denied",
+    );
+    this.unsupportedText = this.sanitizeText(
+      dataset.pasteUnsupportedText || "Pasting is not supported",
+    );
+
+    // Parse boolean values
+    this.dynamicLabel = String(dataset.dynamicLabel).toLowerCase() === "true";
+
+    const formats = ["text", "html", "image", "auto"];
+    this.pasteFormat = formats.includes(dataset.pasteFormat)
+      ? dataset.pasteFormat
+      : "text";
+    this.pasteEvent = dataset.pasteEvent || null;
+
+    // Limits keep oversized clipboard contents away from the socket
+    const maxLength = parseInt(dataset.maxLength, 10);
+    this.maxLength =
+      !isNaN(maxLength) && maxLength > 0 ? Math.min(maxLength, 1000000) : 10000;
+
+    const maxImageSize = parseInt(dataset.maxImageSize, 10);
+    this.maxImageSize =
+      !isNaN(maxImageSize) && maxImageSize > 0 ? maxImageSize : 5 * 1024 * 1024;
+  },
+
+  /**
+   * Initialize and cache DOM elements
+   */
+  initializeElements() {
+    const trigger = this.el.querySelector(".clipboard-trigger");
+    const triggerEl = trigger?.firstElementChild || trigger;
+
+    if (triggerEl && !triggerEl.getAttribute("aria-label")) {
+      triggerEl.setAttribute("aria-label", "Paste from clipboard");
+    }
+
+    Clipboard.initializeElements.call(this);
+    this.targetEl = this.getPasteTarget();
+  },
+
+  /**
+   * Set up event listeners
+   */
+  setupEventListeners() {
+    // Store bound handlers for proper cleanup
+    this.handlePasteClick = this.handlePasteClick.bind(this);
+    this.handlePasteKeydown = this.handlePasteKeydown.bind(this);
+    this.handlePasteEvent = this.handlePasteEvent.bind(this);
+
+    this.triggerEl?.addEventListener("click", this.handlePasteClick);
+    this.triggerEl?.addEventListener("keydown", this.handlePasteKeydown);
+
+    this.el.addEventListener("paste", this.handlePasteEvent);
+    if (this.targetEl && !this.el.contains(this.targetEl)) {
+      this.targetEl.addEventListener("paste", this.handlePasteEvent);
+    }
+  },
+
+  /**
+   * Remove event listeners
+   */
+  removeEventListeners() {
+    this.triggerEl?.removeEventListener("click", this.handlePasteClick);
+    this.triggerEl?.removeEventListener("keydown", this.handlePasteKeydown);
+
+    this.el.removeEventListener("paste", this.handlePasteEvent);
+    this.targetEl?.removeEventListener("paste", this.handlePasteEvent);
+  },
+
+  // Status feedback and sanitization rules are shared with the Clipboard hook
+  clearTimers: Clipboard.clearTimers,
+  sanitizeClassName: Clipboard.sanitizeClassName,
+  sanitizeText: Clipboard.sanitizeText,
+  showStatus: Clipboard.showStatus,
+  updateTriggerClasses: Clipboard.updateTriggerClasses,
+  updateLabel: Clipboard.updateLabel,
+  announceToScreenReader: Clipboard.announceToScreenReader,
+  resetStatus: Clipboard.resetStatus,
+
+  /**
+   * Get the element filled with the pasted content
+   * @returns {HTMLElement|null} - Target element or null if not found
+   */
+  getPasteTarget() {
+    const { targetSelector } = this.el.dataset;
+
+    if (targetSelector) {
+      try {
+        return document.querySelector(targetSelector);
+      } catch (error) {
+        console.error("Error selecting target element:", error);
+        return null;
+      }
+    }
+
+    return this.el.querySelector(".clipboard-paste-target");
+  },
+
+  /**
+   * Handle click events on the trigger element
+   * @param {Event} event - The click event
+   */
+  handlePasteClick(event) {
+    event.preventDefault();
+    event.stopPropagation();
+    this.readClipboard();
+  },
+
+  /**
+   * Handle keyboard events for accessibility
+   * @param {KeyboardEvent} event - The keyboard event
+   */
+  handlePasteKeydown(event) {
+    if (event.key === "Enter" || event.key === " ") {
+      event.preventDefault();
+      this.readClipboard();
+    }
+  },
+
+  /**
+   * Handle native paste events, which need no clipboard permission
+   * @param {ClipboardEvent} event - The paste event
+   */
+  handlePasteEvent(event) {
+    const data = this.readDataTransfer(event.clipboardData);
+    if (!data) return;
+
+    event.preventDefault();
+    this.deliver(data);
+  },
+
+  /**
+   * Read the clipboard through the asynchronous Clipboard API
+   * @returns {Promise<boolean>} - Success status
+   */
+  async readClipboard() {
+    const clipboard = navigator.clipboard;
+    const canRead = Boolean(clipboard && clipboard.read);
+    const canReadText = Boolean(clipboard && clipboard.readText);
+
+    if (!canRead && !canReadText) {
+      this.showStatus(false, this.unsupportedText);
+      return false;
+    }
+
+    try {
+      let data;
+
+      if (this.pasteFormat !== "text" && canRead) {
+        data = await this.readClipboardItems(await clipboard.read());
+      } else if (canReadText) {
+        data = { type: "text", text: await clipboard.readText() };
+      } else {
+        this.showStatus(false, this.unsupportedText);
+        return false;
+      }
+
+      return this.deliver(data);
+    } catch (error) {
+      if (error && error.name === "NotAllowedError") {
+        this.showStatus(false, this.deniedText);
+      } else {
+        console.error("Clipboard read failed:", error);
+        this.showStatus(false);
+      }
+      return false;
+    }
+  },
+
+  /**
+   * Get the clipboard types to look for, in order of preference
+   * @returns {string[]} - Preferred content types
+   */
+  getPreferredTypes() {
+    switch (this.pasteFormat) {
+      case "image":
+        return ["image"];
+      case "html":
+        return ["html", "text"];
+      case "auto":
+        return ["image", "html", "text"];
+      default:
+        return ["text"];
+    }
+  },
+
+  /**
+   * Pick the preferred content from asynchronous clipboard items
+   * @param {ClipboardItem[]} items - Items returned by `navigator.clipboard.read`
+   * @returns {Promise<Object|null>} - Pasted data or null
+   */
+  async readClipboardItems(items) {
+    for (const kind of this.getPreferredTypes()) {
+      for (const item of items) {
+        if (kind === "image") {
+          const type = item.types.find((t) => t.startsWith("image/"));
+          if (type) return { type: "image", blob: await item.getType(type) };
+        } else if (kind === "html" && item.types.includes("text/html")) {
+          const html = await (await item.getType("text/html")).text();
+          const text = item.types.includes("text/plain")
+            ? await (await item.getType("text/plain")).text()
+            : "";
+          return { type: "html", html, text };
+        } else if (kind === "text" && item.types.includes("text/plain")) {
+          return {
+            type: "text",
+            text: await (await item.getType("text/plain")).text(),
+          };
+        }
+      }
+    }
+
+    return null;
+  },
+
+  /**
+   * Pick the preferred content from a paste event
+   * @param {DataTransfer} dataTransfer - Data of the paste event
+   * @returns {Object|null} - Pasted data or null
+   */
+  readDataTransfer(dataTransfer) {
+    if (!dataTransfer) return null;
+
+    for (const kind of this.getPreferredTypes()) {
+      if (kind === "image") {
+        const file = Array.from(dataTransfer.files || []).find((f) =>
+          f.type.startsWith("image/"),
+        );
+        if (file) return { type: "image", blob: file };
+      } else if (kind === "html") {
+        const html = dataTransfer.getData("text/html");
+        if (html) {
+          return {
+            type: "html",
+            html,
+            text: dataTransfer.getData("text/plain"),
+          };
+        }
+      } else {
+        const text = dataTransfer.getData("text/plain");
+        if (text) return { type: "text", text };
+      }
+    }
+
+    return null;
+  },
+
+  /**
+   * Sanitize pasted data, fill the target and notify the LiveView
+   * @param {Object|null} data - Pasted data
+   * @returns {Promise<boolean>} - Success status
+   */
+  async deliver(data) {
+    const payload = data ? await this.buildPayload(data) : null;
+
+    if (!payload) {
+      this.showStatus(false);
+      return false;
+    }
+
+    this.fillTarget(payload, data);
+
+    if (this.pasteEvent) {
+      this.pushEvent(this.pasteEvent, { id: this.el.id, ...payload });
+    }
+
+    this.showStatus(true);
+    return true;
+  },
+
+  /**
+   * Build the sanitized payload sent to the target and the LiveView
+   * @param {Object} data - Pasted data
+   * @returns {Promise<Object|null>} - Payload or null when nothing is usable
+   */
+  async buildPayload(data) {
+    if (data.type === "image") {
+      const { blob } = data;
+      if (!blob || blob.size > this.maxImageSize) return null;
+
+      return {
+        type: "image",
+        mime: blob.type,
+        size: blob.size,
+        data_url: await this.blobToDataUrl(blob),
+      };
+    }
+
+    if (data.type === "html") {
+      const html = this.sanitizeHtml(data.html);
+      // HTML over the size limit is dropped, the plain text part still pastes
+      if (html) {
+        const text = this.sanitizePastedText(
+          data.text || this.htmlToText(html),
+        );
+        return text ? { type: "html", html, text } : null;
+      }
+    }
+
+    const text = this.sanitizePastedText(data.text);
+    return text ? { type: "text", text } : null;
+  },
+
+  /**
+   * Remove control characters and limit the length of pasted text, with the
+   * same rules as the status texts. The result is only ever assigned as a
+   * value or text node, so it is not HTML-escaped.
+   * @param {string} text - Text to sanitize
+   * @returns {string} - Sanitized text
+   */
+  sanitizePastedText(text) {
+    return this.sanitizeText(text, {
+      maxLength: this.maxLength,
+      escape: false,
+    });
+  },
+
+  /**
+   * Keep only allow-listed elements and attributes of pasted HTML
+   * @param {string} html - HTML to sanitize
+   * @returns {string} - Sanitized HTML, or an empty string when too long so
+   * the paste falls back to its plain text
+   */
+  sanitizeHtml(html) {
+    if (!html || typeof html !== "string" || html.length > this.maxLength) {
+      return "";
+    }
+
+    const template = document.createElement("template");
+    template.innerHTML = html;
+    this.sanitizeNodes(template.content);
+
+    return template.innerHTML.trim();
+  },
+
+  /**
+   * Sanitize the children of a node in place
+   * @param {Node} parent - Node whose children are sanitized
+   */
+  sanitizeNodes(parent) {
+    Array.from(parent.childNodes).forEach((node) => {
+      if (node.nodeType === Node.TEXT_NODE) return;
+
+      // Comments, processing instructions and the like
+      if (node.nodeType !== Node.ELEMENT_NODE) {
+        node.remove();
+        return;
+      }
+
+      const tag = node.localName;
+
+      if (PASTE_DROPPED_TAGS.has(tag)) {
+        node.remove();
+        return;
+      }
+
+      this.sanitizeNodes(node);
+
+      if (!PASTE_ALLOWED_TAGS.has(tag)) {
+        node.replaceWith(...node.childNodes);
+        return;
+      }
+
+      const allowed = [
+        ...PASTE_ALLOWED_ATTRIBUTES["*"],
+        ...(PASTE_ALLOWED_ATTRIBUTES[tag] || []),
+      ];
+
+      Array.from(node.attributes).forEach(({ name, value }) => {
+        const attr = name.toLowerCase();
+
+        if (
+          !allowed.includes(attr) ||
+          (PASTE_URL_ATTRIBUTES.has(attr) && !this.isSafeUrl(value))
+        ) {
+          node.removeAttribute(name);
+        }
+      });
+    });
+  },
+
+  /**
+   * Check a URL attribute against the allowed protocols. Control characters
+   * and whitespace are stripped first, the same way the URL parser ignores
+   * them, so `java&#9;script:` cannot slip through.
+   * @param {string} value - Attribute value
+   * @returns {boolean} - Whether the URL may be kept
+   */
+  isSafeUrl(value) {
+    const cleaned = value.replace(/[\u0000-\u0020\u007F-\u009F]/g, "");
+
+    try {
+      const url = new URL(cleaned, document.baseURI);
+      return PASTE_URL_PROTOCOLS.has(url.protocol);
+    } catch (error) {
+      return false;
+    }
+  },
+
+  /**
+   * Get the plain text of sanitized HTML
+   * @param {string} html - Sanitized HTML
+   * @returns {string} - Text content
+   */
+  htmlToText(html) {
+    const template = document.createElement("template");
+    template.innerHTML = html;
+    return template.content.textContent || "";
+  },
+
+  /**
+   * Read a blob as a data URL
+   * @param {Blob} blob - Blob to read
+   * @returns {Promise<string>} - Data URL
+   */
+  blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+  },
+
+  /**
+   * Put the pasted content into the target element
+   * @param {Object} payload - Sanitized payload
+   * @param {Object} data - Original pasted data
+   */
+  fillTarget(payload, data) {
+    const target = this.targetEl;
+    if (!target) return;
+
+    // LiveView uploads pick up files set on a `live_file_input`
+    if (target.tagName === "INPUT" && target.type === "file") {
+      if (payload.type !== "image" || typeof DataTransfer === "undefined") {
+        return;
+      }
+
+      const extension = (payload.mime.split("/")[1] || "png").split("+")[0];
+      const file =
+        data.blob instanceof File
+          ? data.blob
+          : new File([data.blob], `pasted-image.${extension}`, {
+              type: payload.mime,
+            });
+      const transfer = new DataTransfer();
+      transfer.items.add(file);
+      target.files = transfer.files;
+      target.dispatchEvent(new Event("input", { bubbles: true }));
+      target.dispatchEvent(new Event("change", { bubbles: true }));
+      return;
+    }
+
+    if (payload.type === "image") return;
+
+    if (target.tagName === "INPUT" || target.tagName === "TEXTAREA") {
+      const start = target.selectionStart ?? target.value.length;
+      const end = target.selectionEnd ?? target.value.length;
+
+      if (
+        typeof target.setRangeText === "function" &&
+        target.type !== "email"
+      ) {
+        target.setRangeText(payload.text, start, end, "end");
+      } else {
+        target.value = payload.text;
+      }
+
+      target.dispatchEvent(new Event("input", { bubbles: true }));
+      return;
+    }
+
+    if (target.isContentEditable) {
+      target.focus();
+      const selection = window.getSelection();
+      const range =
+        selection &&
+        selection.rangeCount &&
+        target.contains(selection.anchorNode)
+          ? selection.getRangeAt(0)
+          : null;
+
+      const fragment =
+        payload.type === "html"
+          ? document.createRange().createContextualFragment(payload.html)
+          : document.createTextNode(payload.text);
+
+      if (range) {
+        range.deleteContents();
+        range.insertNode(fragment);
+        range.collapse(false);
+      } else {
+        target.appendChild(fragment);
+      }
+
+      target.dispatchEvent(new Event("input", { bubbles: true }));
+    }
+  },
+};
+
+export default ClipboardPaste;
@@ -1,29 +1,45 @@
 const Collapsible = {
   mounted() {
+    this.el.setAttribute("data-collapsible-root", "");
     this.initElements();
     this.setupEventListeners();
     this.config = this.getConfig();
     this.state = {
       openItems: new Set(),
       animating: new Set(),
+      // itemId -> "loading" | "loaded" | "error" for data-lazy panels
+      lazy: new Map(),
+      lazyRequests: new Map(),
+      lazyTimers: new Map(),
       reducedMotion: window.matchMedia("(prefers-reduced-motion: reduce)")
         .matches,
     };
 
     this.setupAccessibility();
     this.processInitialState();
+    this.openFromHash(false);
+    this.setupHashListener();
+    this.setupCommands();
+    this.setupSearch();
   },
 
   initElements() {
-    this.triggers = this.el.querySelectorAll("[data-collapsible-trigger]");
-    this.panels = this.el.querySelectorAll("[data-collapsible-panel]");
+    // Nested collapsibles own their items, so only keep the elements whose
+    // nearest collapsible root is this hook's element
+    this.triggers = Array.from(
+      this.el.querySelectorAll("[data-collapsible-trigger]"),
+    ).filter((trigger) => this.ownsElement(trigger));
+    this.panels = Array.from(
+      this.el.querySelectorAll("[data-collapsible-panel]"),
+    ).filter((panel) => this.ownsElement(panel));
 
     // Create mapping for easy lookup
     this.itemMap = new Map();
     this.triggers.forEach((trigger) => {
       const itemId = trigger.getAttribute("data-collapsible-trigger");
-      const panel = this.el.querySelector(
-        `[data-collapsible-panel="${itemId}"]`,
+      const panel = this.panels.find(
+        (candidate) =>
+          candidate.getAttribute("data-collapsible-panel") === itemId,
       );
       if (panel) {
         this.itemMap.set(itemId, { trigger, panel });
@@ -31,6 +47,25 @@ const Collapsible = {
     });
   },
 
+  // Nested roots are matched by their hook name as well, since a child may
+  // not have mounted and set its marker yet when the parent scans its items
+  ownsElement(element) {
+    return (
+      element.closest('[data-collapsible-root], [phx-hook="Collapsible"]') ===
+      this.el
+    );
+  },
+
+  getPanelContent(panel) {
+    const content = Array.from(
+      panel.querySelectorAll("[data-collapsible-content]"),
+    ).find((candidate) => {
+      return candidate.closest("[data-collapsible-panel]") === panel;
+    });
+
+    return content || panel;
+  },
+
   getConfig() {
     return {
       multiple: this.el.getAttribute("data-multiple") === "true",
@@ -39,6 +74,21 @@ const Collapsible = {
       keepMounted: this.el.getAttribute("data-keep-mounted") === "true",
       serverEvents: this.el.getAttribute("data-server-events") === "true",
       eventHandler: this.el.getAttribute("data-event-handler"),
+      persist: ["local", "session", "url"].includes(
+        this.el.getAttribute("data-persist"),
+      )
+        ? this.el.getAttribute("data-persist")
+        : null,
+      lazyEvent: this.el.getAttribute("data-lazy-event") || "collapsible_load",
+      lazyTimeout: parseInt(this.el.getAttribute("data-lazy-timeout")) || 15000,
+      unloadOnClose: this.el.getAttribute("data-unload-on-close") === "true",
+      loadingText: this.el.getAttribute("data-loading-text") || "Loading...",
+      errorText:
+        this.el.getAttribute("data-error-text") ||
+        "The content could not be loaded.",
+      retryText: this.el.getAttribute("data-retry-text") || "Retry",
+      searchDebounce:
+        parseInt(this.el.getAttribute("data-search-debounce")) || 150,
     };
   },
 
@@ -68,8 +118,14 @@ const Collapsible = {
     this.boundHandleClick = this.handleClick.bind(this);
     this.boundHandleKeydown = this.handleKeydown.bind(this);
 
+    this.boundHandleNestedResize = this.handleNestedResize.bind(this);
+
     this.el.addEventListener("click", this.boundHandleClick);
     this.el.addEventListener("keydown", this.boundHandleKeydown);
+    this.el.addEventListener(
+      "collapsible:resize",
+      this.boundHandleNestedResize,
+    );
   },
 
   processInitialState() {
@@ -92,13 +148,146 @@ const Collapsible = {
       });
     }
 
+    // A persisted state wins over the rendered initial state
+    const persistedIds = this.readPersistedState();
+    if (persistedIds) {
+      this.state.openItems = new Set(
+        persistedIds.filter((id) => this.itemMap.has(id)),
+      );
+    }
+
+    if (!this.config.multiple && this.state.openItems.size > 1) {
+      this.state.openItems = new Set([
+        this.state.openItems.values().next().value,
+      ]);
+    }
+
     // Always sync UI to ensure consistent state
     this.syncUI();
   },
 
+  getStorageKey() {
+    return `mishka:collapsible:${this.el.id}`;
+  },
+
+  // Prefixed so the state never overwrites the app's own query params
+  getQueryKey() {
+    return `collapsible-${this.el.id}`;
+  },
+
+  getStorage() {
+    try {
+      return this.config.persist === "session"
+        ? window.sessionStorage
+        : window.localStorage;
+    } catch (error) {
+      return null;
+    }
+  },
+
+  readPersistedState() {
+    const { persist } = this.config;
+    if (!persist) return null;
+
+    try {
+      if (persist === "url") {
+        const value = new URLSearchParams(window.location.search).get(
+          this.getQueryKey(),
+        );
+        return value === null ? null : value.split(",").filter(Boolean);
+      }
+
+      const stored = this.getStorage()?.getItem(this.getStorageKey());
+      const ids = stored ? JSON.parse(stored) : null;
+      return Array.isArray(ids) ? ids.map(String) : null;
+    } catch (error) {
+      console.warn(`Collapsible state could not be restored: ${error.message}`);
+      return null;
+    }
+  },
+
+  persistState() {
+    const { persist } = this.config;
+    if (!persist) return;
+
+    const ids = Array.from(this.state.openItems);
+
+    try {
+      if (persist === "url") {
+        const url = new URL(window.location.href);
+        url.searchParams.set(this.getQueryKey(), ids.join(","));
+        // LiveView keeps its navigation data in history.state, so keep it
+        window.history.replaceState(window.history.state, "", url);
+        return;
+      }
+
+      this.getStorage()?.setItem(this.getStorageKey(), JSON.stringify(ids));
+    } catch (error) {
+      console.warn(`Collapsible state could not be saved: ${error.message}`);
+    }
+  },
+
+  setupHashListener() {
+    this.boundHandleHashChange = () => this.openFromHash(true);
+    window.addEventListener("hashchange", this.boundHandleHashChange);
+  },
+
+  // Opens the item named by the URL fragment, either by its item id or by
+  // the id of any element inside its trigger or panel, and scrolls to it.
+  openFromHash(animate) {
+    const hash = decodeURIComponent(window.location.hash.slice(1));
+    if (!hash) return;
+
+    let itemId = this.itemMap.has(hash) ? hash : null;
+    let target = itemId ? this.itemMap.get(itemId).trigger : null;
+
+    if (!itemId) {
+      target = document.getElementById(hash);
+      if (!target || !this.el.contains(target)) return;
+
+      // Also matches elements inside nested collapsibles, so every level
+      // above a deep-linked item opens on the way down
+      itemId = this.findItemContaining(target);
+      if (!itemId) return;
+    }
+
+    if (!this.state.openItems.has(itemId)) {
+      if (animate) {
+        this.open(itemId);
+      } else {
+        if (!this.config.multiple) this.state.openItems.clear();
+        this.state.openItems.add(itemId);
+        this.syncUI();
+        this.persistState();
+      }
+    }
+
+    requestAnimationFrame(() => {
+      target.scrollIntoView({
+        behavior: this.state.reducedMotion ? "auto" : "smooth",
+        block: "start",
+      });
+    });
+  },
+
+  findItemContaining(element) {
+    for (const [itemId, { trigger, panel }] of this.itemMap) {
+      if (trigger.contains(element) || panel.contains(element)) return itemId;
+    }
+    return null;
+  },
+
   handleClick(e) {
+    const retry = e.target.closest("[data-collapsible-retry]");
+    if (retry && this.ownsElement(retry)) {
+      e.preventDefault();
+      const itemId = this.findItemContaining(retry);
+      if (itemId) this.loadPanel(itemId);
+      return;
+    }
+
     const trigger = e.target.closest("[data-collapsible-trigger]");
-    if (!trigger || !this.el.contains(trigger)) return;
+    if (!trigger || !this.ownsElement(trigger)) return;
 
     e.preventDefault();
     const itemId = trigger.getAttribute("data-collapsible-trigger");
@@ -107,10 +296,13 @@ const Collapsible = {
 
   handleKeydown(e) {
     const trigger = e.target.closest("[data-collapsible-trigger]");
-    if (!trigger || !this.el.contains(trigger)) return;
+    if (!trigger || !this.ownsElement(trigger)) return;
 
     const itemId = trigger.getAttribute("data-collapsible-trigger");
-    const triggers = Array.from(this.triggers);
+    // Items filtered out by a search are skipped
+    const triggers = this.triggers.filter(
+      (candidate) => !candidate.closest("[hidden]"),
+    );
     const currentIndex = triggers.indexOf(trigger);
 
     switch (e.key) {
@@ -168,6 +360,8 @@ const Collapsible = {
     this.state.openItems.add(itemId);
     this.animatePanel(itemId, true);
     this.updateAria(itemId, true);
+    this.loadPanel(itemId);
+    this.persistState();
     this.pushServerEvent("collapsible_open", itemId);
   },
 
@@ -178,6 +372,8 @@ const Collapsible = {
     this.state.openItems.delete(itemId);
     this.animatePanel(itemId, false);
     this.updateAria(itemId, false);
+    this.scheduleUnload(itemId);
+    this.persistState();
     this.pushServerEvent("collapsible_close", itemId);
   },
 
@@ -185,8 +381,7 @@ const Collapsible = {
     const elements = this.itemMap.get(itemId);
     if (!elements) return;
 
-    const { panel } = elements;
-    const content = panel.querySelector("[data-collapsible-content]") || panel;
+    const content = this.getPanelContent(elements.panel);
 
     if (this.state.reducedMotion) {
       content.style.maxHeight = opening ? "none" : "0";
@@ -203,6 +398,7 @@ const Collapsible = {
       requestAnimationFrame(() => {
         const height = content.scrollHeight;
         content.style.maxHeight = `${height}px`;
+        this.notifyResize(height);
 
         setTimeout(() => {
           if (this.state.openItems.has(itemId)) {
@@ -219,6 +415,7 @@ const Collapsible = {
 
       requestAnimationFrame(() => {
         content.style.maxHeight = "0";
+        this.notifyResize(-height);
 
         setTimeout(() => {
           this.state.animating.delete(itemId);
@@ -227,6 +424,32 @@ const Collapsible = {
     }
   },
 
+  // Tells enclosing collapsibles how much this one is about to grow or shrink
+  notifyResize(delta) {
+    this.el.dispatchEvent(
+      new CustomEvent("collapsible:resize", {
+        bubbles: true,
+        detail: { delta },
+      }),
+    );
+  },
+
+  // A parent panel that is still animating has a fixed pixel max-height, so
+  // it has to follow a nested panel opening or closing inside it. Settled
+  // panels use max-height: none and adapt on their own.
+  handleNestedResize(e) {
+    if (e.target === this.el) return;
+
+    const itemId = this.findItemContaining(e.target);
+    if (!itemId || !this.state.openItems.has(itemId)) return;
+
+    const content = this.getPanelContent(this.itemMap.get(itemId).panel);
+    const currentHeight = parseFloat(content.style.maxHeight);
+    if (Number.isNaN(currentHeight)) return;
+
+    content.style.maxHeight = `${Math.max(0, currentHeight + e.detail.delta)}px`;
+  },
+
   updateAria(itemId, expanded) {
     const elements = this.itemMap.get(itemId);
     if (!elements) return;
@@ -237,15 +460,14 @@ const Collapsible = {
   syncUI() {
     this.itemMap.forEach((elements, itemId) => {
       const isOpen = this.state.openItems.has(itemId);
-      const { panel } = elements;
-      const content =
-        panel.querySelector("[data-collapsible-content]") || panel;
+      const content = this.getPanelContent(elements.panel);
 
       this.updateAria(itemId, isOpen);
 
       if (isOpen) {
         content.style.maxHeight = "none";
         content.style.overflow = "visible";
+        this.loadPanel(itemId);
       } else {
         content.style.maxHeight = "0";
         content.style.overflow = "hidden";
@@ -253,6 +475,220 @@ const Collapsible = {
     });
   },
 
+  isLazy(itemId) {
+    return !!this.itemMap.get(itemId)?.panel.hasAttribute("data-lazy");
+  },
+
+  // Lazy content goes into a phx-update="ignore" body when the template
+  // provides one, so LiveView patches leave the fetched markup alone
+  getLazyBody(itemId) {
+    const { panel } = this.itemMap.get(itemId);
+    const body = Array.from(
+      panel.querySelectorAll("[data-collapsible-lazy-body]"),
+    ).find((candidate) => {
+      return candidate.closest("[data-collapsible-panel]") === panel;
+    });
+
+    return body || this.getPanelContent(panel);
+  },
+
+  /**
+   * Requests a lazy panel's markup the first time it opens. The server
+   * replies with `%{html: ...}`, or `%{error: ...}` to show the retry state.
+   */
+  loadPanel(itemId) {
+    if (!this.isLazy(itemId)) return;
+
+    const status = this.state.lazy.get(itemId);
+    if (status === "loading" || status === "loaded") return;
+
+    const requestId = (this.state.lazyRequests.get(itemId) || 0) + 1;
+    this.state.lazyRequests.set(itemId, requestId);
+    this.state.lazy.set(itemId, "loading");
+
+    const { panel } = this.itemMap.get(itemId);
+    panel.setAttribute("aria-busy", "true");
+    this.renderLazyContent(itemId, this.createSkeleton());
+
+    const isCurrent = () =>
+      this.state.lazyRequests.get(itemId) === requestId &&
+      this.state.lazy.get(itemId) === "loading";
+
+    clearTimeout(this.state.lazyTimers.get(itemId));
+    this.state.lazyTimers.set(
+      itemId,
+      setTimeout(() => {
+        if (isCurrent()) this.handleLazyReply(itemId, { error: true });
+      }, this.config.lazyTimeout),
+    );
+
+    try {
+      this.pushEvent(
+        this.config.lazyEvent,
+        { component_id: this.el.id, item_id: itemId },
+        (reply) => {
+          if (isCurrent()) this.handleLazyReply(itemId, reply);
+        },
+      );
+    } catch (error) {
+      // pushEvent throws while the socket is disconnected
+      this.handleLazyReply(itemId, { error: true });
+    }
+  },
+
+  handleLazyReply(itemId, reply) {
+    clearTimeout(this.state.lazyTimers.get(itemId));
+    this.state.lazyTimers.delete(itemId);
+
+    const elements = this.itemMap.get(itemId);
+    if (!elements) return;
+    elements.panel.removeAttribute("aria-busy");
+
+    if (reply?.error || typeof reply?.html !== "string") {
+      this.state.lazy.set(itemId, "error");
+      const message =
+        typeof reply?.error === "string" ? reply.error : this.config.errorText;
+      this.renderLazyContent(itemId, this.createErrorState(message));
+      return;
+    }
+
+    this.state.lazy.set(itemId, "loaded");
+    const template = document.createElement("template");
+    template.innerHTML = reply.html;
+    this.renderLazyContent(itemId, template.content);
+  },
+
+  // Swaps the lazy body and, once images inside it have settled, animates
+  // the panel from its old height to the new one instead of jumping
+  renderLazyContent(itemId, node) {
+    const content = this.getPanelContent(this.itemMap.get(itemId).panel);
+    const previousHeight = content.offsetHeight;
+
+    this.getLazyBody(itemId).replaceChildren(node);
+
+    if (!this.state.openItems.has(itemId)) return;
+
+    this.waitForMedia(content).then(() => {
+      if (!this.state.openItems.has(itemId)) return;
+      this.animateHeightChange(itemId, previousHeight);
+    });
+  },
+
+  waitForMedia(container) {
+    const pending = Array.from(container.querySelectorAll("img")).filter(
+      (image) => !image.complete,
+    );
+    if (pending.length === 0) return Promise.resolve();
+
+    const loads = pending.map(
+      (image) =>
+        new Promise((resolve) => {
+          image.addEventListener("load", resolve, { once: true });
+          image.addEventListener("error", resolve, { once: true });
+        }),
+    );
+
+    // Never hold the panel back for longer than one extra animation
+    const timeout = new Promise((resolve) => {
+      setTimeout(resolve, Math.max(this.config.duration, 1000));
+    });
+
+    return Promise.race([Promise.all(loads), timeout]);
+  },
+
+  animateHeightChange(itemId, fromHeight) {
+    const content = this.getPanelContent(this.itemMap.get(itemId).panel);
+
+    // Retarget an opening animation that is still in progress; before its
+    // first frame it has not measured yet and will pick the height up itself
+    if (this.state.animating.has(itemId)) {
+      const currentHeight = parseFloat(content.style.maxHeight);
+      if (!currentHeight) return;
+
+      const toHeight = content.scrollHeight;
+      content.style.maxHeight = `${toHeight}px`;
+      this.notifyResize(toHeight - currentHeight);
+      return;
+    }
+
+    content.style.maxHeight = "none";
+    const toHeight = content.scrollHeight;
+    if (this.state.reducedMotion || toHeight === fromHeight) return;
+
+    this.state.animating.add(itemId);
+    content.style.overflow = "hidden";
+    content.style.maxHeight = `${fromHeight}px`;
+
+    requestAnimationFrame(() => {
+      content.style.maxHeight = `${toHeight}px`;
+      this.notifyResize(toHeight - fromHeight);
+
+      setTimeout(() => {
+        if (this.state.openItems.has(itemId)) {
+          content.style.maxHeight = "none";
+          content.style.overflow = "visible";
+        }
+        this.state.animating.delete(itemId);
+      }, this.config.duration);
+    });
+  },
+
+  scheduleUnload(itemId) {
+    if (!this.config.unloadOnClose || !this.isLazy(itemId)) return;
+
+    setTimeout(() => {
+      if (this.state.openItems.has(itemId) || !this.itemMap.has(itemId)) return;
+
+      // Dropping the status also discards any reply still in flight
+      this.state.lazy.delete(itemId);
+      clearTimeout(this.state.lazyTimers.get(itemId));
+      this.state.lazyTimers.delete(itemId);
+      this.itemMap.get(itemId).panel.removeAttribute("aria-busy");
+      this.getLazyBody(itemId).replaceChildren();
+    }, this.config.duration);
+  },
+
+  createSkeleton() {
+    const skeleton = document.createElement("div");
+    skeleton.className = "collapsible-skeleton space-y-2 animate-pulse";
+    skeleton.setAttribute("data-collapsible-loading", "");
+    skeleton.setAttribute("role", "status");
+
+    const label = document.createElement("span");
+    label.className = "sr-only";
+    label.textContent = this.config.loadingText;
+    skeleton.appendChild(label);
+
+    ["w-full", "w-11/12", "w-3/4"].forEach((width) => {
+      const line = document.createElement("div");
+      line.className = `collapsible-skeleton-line h-3 rounded bg-current opacity-10 ${width}`;
+      line.setAttribute("aria-hidden", "true");
+      skeleton.appendChild(line);
+    });
+
+    return skeleton;
+  },
+
+  createErrorState(message) {
+    const wrapper = document.createElement("div");
+    wrapper.className = "collapsible-error flex items-center gap-3";
+    wrapper.setAttribute("data-collapsible-error", "");
+    wrapper.setAttribute("role", "alert");
+
+    const text = document.createElement("p");
+    text.textContent = message;
+    wrapper.appendChild(text);
+
+    const retry = document.createElement("button");
+    retry.type = "button";
+    retry.className = "collapsible-retry underline";
+    retry.setAttribute("data-collapsible-retry", "");
+    retry.textContent = this.config.retryText;
+    wrapper.appendChild(retry);
+
+    return wrapper;
+  },
+
   pushServerEvent(event, itemId) {
     if (!this.config.serverEvents) return;
 
@@ -270,6 +706,232 @@ const Collapsible = {
     }
   },
 
+  getCommands() {
+    const itemIds = (payload) =>
+      [].concat(payload.item_ids ?? payload.item_id ?? []).map(String);
+
+    return {
+      "collapsible:open": (payload) =>
+        itemIds(payload).forEach((id) => this.openItem(id)),
+      "collapsible:close": (payload) =>
+        itemIds(payload).forEach((id) => this.closeItem(id)),
+      "collapsible:toggle": (payload) =>
+        itemIds(payload).forEach((id) => this.toggleItem(id)),
+      "collapsible:expand_all": () => this.expandAll(),
+      "collapsible:collapse_all": () => this.collapseAll(),
+    };
+  },
+
+  // The same commands arrive from the server through push_event/3, naming
+  // the component by `id`, and from the page as DOM events on the root
+  // element, e.g. JS.dispatch("collapsible:expand_all", to: "#faq").
+  setupCommands() {
+    this.boundCommandListeners = [];
+
+    Object.entries(this.getCommands()).forEach(([event, command]) => {
+      this.handleEvent(event, (payload = {}) => {
+        if (payload.id !== this.el.id) return;
+        command(payload);
+      });
+
+      const listener = (e) => {
+        // Commands aimed at a nested collapsible bubble through this one
+        if (e.target !== this.el) return;
+        command(e.detail || {});
+      };
+      this.el.addEventListener(event, listener);
+      this.boundCommandListeners.push([event, listener]);
+    });
+  },
+
+  // The search input lives inside the collapsible, or anywhere on the page
+  // when the root names it with data-search-input
+  setupSearch() {
+    const externalId = this.el.getAttribute("data-search-input");
+    this.searchInput = externalId
+      ? document.getElementById(externalId)
+      : Array.from(this.el.querySelectorAll("[data-collapsible-search]")).find(
+          (input) => this.ownsElement(input),
+        );
+    if (!this.searchInput) return;
+
+    this.searchQuery = "";
+    this.searchSnapshot = null;
+
+    this.boundHandleSearchInput = () => {
+      clearTimeout(this.searchTimer);
+      this.searchTimer = setTimeout(() => {
+        this.applySearch(this.searchInput.value);
+      }, this.config.searchDebounce);
+    };
+    this.boundHandleSearchKeydown = (e) => {
+      if (e.key !== "Escape" || this.searchInput.value === "") return;
+      e.preventDefault();
+      clearTimeout(this.searchTimer);
+      this.searchInput.value = "";
+      this.applySearch("");
+    };
+
+    this.searchInput.addEventListener("input", this.boundHandleSearchInput);
+    this.searchInput.addEventListener("keydown", this.boundHandleSearchKeydown);
+  },
+
+  getSearchTerms(query) {
+    return query.trim().toLowerCase().split(/\s+/).filter(Boolean);
+  },
+
+  // The element wrapping both the trigger and the panel of an item
+  getItemElement(itemId) {
+    const { trigger, panel } = this.itemMap.get(itemId);
+    let element = trigger.parentElement;
+    while (element && element !== this.el && !element.contains(panel)) {
+      element = element.parentElement;
+    }
+    return element && element !== this.el ? element : null;
+  },
+
+  /**
+   * Shows only the items whose trigger and panel text contain every search
+   * term and opens the panels holding a match, even when `multiple` is off.
+   * The open items from before the search come back once it is cleared.
+   */
+  applySearch(query) {
+    const terms = this.getSearchTerms(query);
+    this.searchQuery = terms.join(" ");
+
+    this.itemMap.forEach(({ trigger, panel }) => {
+      this.clearHighlight(trigger);
+      this.clearHighlight(panel);
+    });
+
+    if (terms.length === 0) {
+      this.itemMap.forEach((_elements, itemId) => {
+        const item = this.getItemElement(itemId);
+        if (item) item.hidden = false;
+      });
+      this.toggleNoResults(false);
+
+      if (this.searchSnapshot) {
+        this.setOpenItems(this.searchSnapshot);
+        this.searchSnapshot = null;
+      }
+      return;
+    }
+
+    if (!this.searchSnapshot) {
+      this.searchSnapshot = new Set(this.state.openItems);
+    }
+
+    const matchedIds = new Set();
+    const openIds = new Set();
+
+    this.itemMap.forEach(({ trigger, panel }, itemId) => {
+      const triggerText = trigger.textContent.toLowerCase();
+      const panelText = panel.textContent.toLowerCase();
+      const matches = terms.every(
+        (term) => triggerText.includes(term) || panelText.includes(term),
+      );
+
+      const item = this.getItemElement(itemId);
+      if (item) item.hidden = !matches;
+      if (!matches) return;
+
+      matchedIds.add(itemId);
+      if (terms.some((term) => panelText.includes(term))) openIds.add(itemId);
+
+      this.highlightTerms(trigger, terms);
+      this.highlightTerms(panel, terms);
+    });
+
+    this.toggleNoResults(matchedIds.size === 0);
+    this.setOpenItems(openIds);
+  },
+
+  // Opens and closes items to match the given set without the usual
+  // single-item rule, persistence or server events, since search results
+  // are only a temporary view
+  setOpenItems(ids) {
+    const nextIds = new Set(
+      Array.from(ids).filter((itemId) => this.itemMap.has(itemId)),
+    );
+
+    this.itemMap.forEach((_elements, itemId) => {
+      const isOpen = this.state.openItems.has(itemId);
+      const shouldOpen = nextIds.has(itemId);
+      if (isOpen === shouldOpen) return;
+
+      if (shouldOpen) {
+        this.state.openItems.add(itemId);
+        this.loadPanel(itemId);
+      } else {
+        this.state.openItems.delete(itemId);
+      }
+      this.animatePanel(itemId, shouldOpen);
+      this.updateAria(itemId, shouldOpen);
+    });
+  },
+
+  toggleNoResults(visible) {
+    const noResults = Array.from(
+      this.el.querySelectorAll("[data-collapsible-no-results]"),
+    ).find((element) => this.ownsElement(element));
+
+    if (noResults) noResults.hidden = !visible;
+  },
+
+  clearHighlight(element) {
+    const marks = element.querySelectorAll("mark[data-collapsible-highlight]");
+    if (marks.length === 0) return;
+
+    marks.forEach((mark) => mark.replaceWith(mark.textContent));
+    element.normalize();
+  },
+
+  highlightTerms(element, terms) {
+    const pattern = new RegExp(
+      terms
+        .map((term) => term.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+        .join("|"),
+      "gi",
+    );
+
+    const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT, {
+      acceptNode: (node) =>
+        node.parentElement?.closest("script, style, svg, textarea")
+          ? NodeFilter.FILTER_REJECT
+          : NodeFilter.FILTER_ACCEPT,
+    });
+    const nodes = [];
+    while (walker.nextNode()) nodes.push(walker.currentNode);
+
+    nodes.forEach((node) => {
+      const text = node.textContent;
+      const fragment = document.createDocumentFragment();
+      let lastIndex = 0;
+
+      text.replace(pattern, (match, offset) => {
+        if (offset > lastIndex) {
+          fragment.appendChild(
+            document.createTextNode(text.slice(lastIndex, offset)),
+          );
+        }
+        const mark = document.createElement("mark");
+        mark.setAttribute("data-collapsible-highlight", "");
+        mark.className = "collapsible-highlight";
+        mark.textContent = match;
+        fragment.appendChild(mark);
+        lastIndex = offset + match.length;
+        return match;
+      });
+
+      if (lastIndex === 0) return;
+      if (lastIndex < text.length) {
+        fragment.appendChild(document.createTextNode(text.slice(lastIndex)));
+      }
+      node.replaceWith(fragment);
+    });
+  },
+
   // Public API
   getOpenIds() {
     return Array.from(this.state.openItems);
@@ -287,20 +949,59 @@ const Collapsible = {
     this.toggle(itemId);
   },
 
+  // Only one item can be open without data-multiple, so there is nothing
+  // to expand all of
+  expandAll() {
+    if (!this.config.multiple) return;
+    this.itemMap.forEach((_elements, itemId) => this.open(itemId));
+  },
+
+  collapseAll() {
+    Array.from(this.state.openItems).forEach((itemId) => this.close(itemId));
+  },
+
   updated() {
     // Re-initialize elements in case DOM changed
     this.initElements();
     // Process any changes to initial state
     this.processInitialState();
+    // Patches drop the search markup, so filter the refreshed items again
+    if (this.searchQuery) this.applySearch(this.searchQuery);
   },
 
   destroyed() {
     if (this.el && this.boundHandleClick) {
       this.el.removeEventListener("click", this.boundHandleClick);
       this.el.removeEventListener("keydown", this.boundHandleKeydown);
+      this.el.removeEventListener(
+        "collapsible:resize",
+        this.boundHandleNestedResize,
+      );
+    }
+    if (this.boundHandleHashChange) {
+      window.removeEventListener("hashchange", this.boundHandleHashChange);
     }
     this.boundHandleClick = null;
     this.boundHandleKeydown = null;
+    this.boundHandleHashChange = null;
+    this.boundHandleNestedResize = null;
+    this.boundCommandListeners?.forEach(([event, listener]) => {
+      this.el?.removeEventListener(event, listener);
+    });
+    this.boundCommandListeners = null;
+    if (this.searchInput) {
+      clearTimeout(this.searchTimer);
+      this.searchInput.removeEventListener(
+        "input",
+        this.boundHandleSearchInput,
+      );
+      this.searchInput.removeEventListener(
+        "keydown",
+        this.boundHandleSearchKeydown,
+      );
+      this.searchInput = null;
+    }
+    this.state?.lazyTimers.forEach((timer) => clearTimeout(timer));
   },
 };
 
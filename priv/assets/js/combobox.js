@@ -2,6 +2,45 @@ let Combobox = {
   mounted() {
     this.initElements();
 
+    this.optionIndex = new Map();
+    this.searchData = new WeakMap();
+    this.optionOrder = new WeakMap();
+    this.optionOrderSeq = 0;
+    this.highlightKeys = new WeakMap();
+    this.matchResults = new Map();
+    this.matchStrategy = ["prefix", "substring", "fuzzy", "words"].includes(
+      this.el.dataset.match,
+    )
+      ? this.el.dataset.match
+      : "substring";
+    this.navigatedOption = null;
+    this.virtualize = this.isEnabled("data-virtualize");
+    if (this.virtualize) {
+      this.setupVirtualList();
+    }
+
+    this.searchEvent = this.el.getAttribute("data-search-event");
+    this.searchDebounce = parseInt(this.el.dataset.searchDebounce) || 300;
+    this.searchRequestId = 0;
+    this.searchTimer = null;
+    this.searchQuery = "";
+    this.searchPage = 1;
+    this.hasMoreResults = false;
+    this.isSearching = false;
+    if (this.searchEvent) {
+      this.setupRemoteSearch();
+    }
+
+    this.maxSelections = parseInt(this.el.dataset.maxSelections) || null;
+    this.minSelections = parseInt(this.el.dataset.minSelections) || null;
+    this.maxVisiblePills = parseInt(this.el.dataset.maxVisiblePills) || null;
+
+    this.creatable = this.isEnabled("data-creatable");
+    this.createEvent = this.el.getAttribute("data-create-event");
+    if (this.creatable) {
+      this.setupCreatable();
+    }
+
     this.boundHandleScroll = this.updateDropdownPosition.bind(this);
     this.boundHandleKeyDown = this.handleKeyDown.bind(this);
     this.boundHandleDocumentClick = this.handleDocumentClick.bind(this);
@@ -61,14 +100,939 @@ let Combobox = {
     this.dropdownOptions = this.getDropdownOptions();
   },
 
+  isEnabled(attribute) {
+    return (
+      this.el.hasAttribute(attribute) &&
+      this.el.getAttribute(attribute) !== "false"
+    );
+  },
+
   getDropdownOptions() {
+    if (this.virtualize) {
+      return this.virtualOptions;
+    }
     if (this.isPortalActive && this.portalContainer) {
       return this.portalContainer.querySelectorAll(".combobox-option");
     }
     return this.el.querySelectorAll(".combobox-option");
   },
 
+  buildOptionIndex() {
+    // Selected options that dropped out of the current remote result page
+    // keep their rendered element, so pills can still show their content.
+    const preserved = this.searchEvent
+      ? Array.from(this.select.options)
+          .filter((opt) => opt.selected && this.optionIndex.has(opt.value))
+          .map((opt) => [opt.value, this.optionIndex.get(opt.value)])
+      : [];
+
+    this.optionIndex.clear();
+    Array.from(this.getDropdownOptions()).forEach((opt) => {
+      this.optionIndex.set(opt.dataset.comboboxValue, opt);
+      if (!this.optionOrder.has(opt)) {
+        this.optionOrder.set(opt, this.optionOrderSeq++);
+      }
+    });
+
+    preserved.forEach(([value, opt]) => {
+      if (!this.optionIndex.has(value)) {
+        this.optionIndex.set(value, opt);
+      }
+    });
+  },
+
+  getOptionsContainer() {
+    const noResults = this.dropdown.querySelector(".no-results");
+    if (noResults) return noResults.parentElement;
+
+    const first = this.dropdown.querySelector(".combobox-option");
+    if (first) return (first.closest(".option-group") || first).parentElement;
+
+    return this.dropdown.querySelector(".scroll-content") || this.dropdown;
+  },
+
+  findOption(value) {
+    return this.optionIndex.get(value) || null;
+  },
+
+  normalizeText(text) {
+    return text
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .toLowerCase();
+  },
+
+  // Normalizes per character and keeps, for every normalized character, the
+  // index of the original character it came from, so matches can be mapped
+  // back onto the rendered text.
+  normalizeWithMap(text) {
+    let normalized = "";
+    const map = [];
+    let index = 0;
+
+    for (const char of text) {
+      const result = this.normalizeText(char);
+      for (let i = 0; i < result.length; i++) map.push(index);
+      normalized += result;
+      index += char.length;
+    }
+
+    return { normalized, map };
+  },
+
+  getSearchData(option) {
+    let data = this.searchData.get(option);
+    if (!data) {
+      const raw = option.textContent;
+      const offset = raw.length - raw.trimStart().length;
+      const { normalized, map } = this.normalizeWithMap(raw.trim());
+
+      data = {
+        value: this.normalizeText(
+          option.getAttribute("data-combobox-value") || "",
+        ),
+        label: normalized,
+        labelMap: map.map((index) => index + offset),
+      };
+      this.searchData.set(option, data);
+    }
+    return data;
+  },
+
+  range(start, length) {
+    return Array.from({ length }, (_, i) => start + i);
+  },
+
+  matchText(text, query) {
+    switch (this.matchStrategy) {
+      case "prefix": {
+        if (!text.startsWith(query)) return null;
+        return {
+          score: 150 + (text.length === query.length ? 100 : 0),
+          positions: this.range(0, query.length),
+        };
+      }
+
+      case "words": {
+        const queryWords = query.split(/\s+/).filter(Boolean);
+        const words = Array.from(text.matchAll(/\S+/g));
+        const used = new Set();
+        const positions = [];
+        let score = 100;
+
+        for (const queryWord of queryWords) {
+          const index = words.findIndex(
+            (word, i) => !used.has(i) && word[0].startsWith(queryWord),
+          );
+          if (index < 0) return null;
+
+          used.add(index);
+          score -= index;
+          positions.push(...this.range(words[index].index, queryWord.length));
+        }
+
+        return { score, positions };
+      }
+
+      case "fuzzy": {
+        const compact = query.replace(/\s+/g, "");
+        const positions = [];
+        let score = 0;
+        let previous = -1;
+
+        for (const char of compact) {
+          const position = text.indexOf(char, previous + 1);
+          if (position < 0) return null;
+
+          score += 1;
+          if (position === previous + 1) score += 5;
+          if (position === 0 || /[\s\-_/.]/.test(text[position - 1])) {
+            score += 8;
+          }
+          score -= Math.min(position - previous - 1, 10) * 0.5;
+
+          positions.push(position);
+          previous = position;
+        }
+
+        return { score, positions };
+      }
+
+      default: {
+        const index = text.indexOf(query);
+        if (index < 0) return null;
+        return {
+          score:
+            100 -
+            Math.min(index, 50) +
+            (index === 0 ? 50 : 0) +
+            (text.length === query.length ? 100 : 0),
+          positions: this.range(index, query.length),
+        };
+      }
+    }
+  },
+
+  /**
+   * Matches an option against a normalized query with the configured
+   * `data-match` strategy. Returns `null` when it does not match, otherwise a
+   * score used for ranking and the matched indices in the option's text.
+   */
+  matchOption(option, query) {
+    if (!query.trim()) return { score: 0, indices: [] };
+
+    const { value, label, labelMap } = this.getSearchData(option);
+    const labelMatch = this.matchText(label, query);
+    if (labelMatch) {
+      return {
+        score: labelMatch.score,
+        indices: labelMatch.positions.map((position) => labelMap[position]),
+      };
+    }
+
+    const valueMatch = this.matchText(value, query);
+    return valueMatch ? { score: valueMatch.score - 10, indices: [] } : null;
+  },
+
+  matchesQuery(option, query) {
+    return this.matchOption(option, query) !== null;
+  },
+
+  compareMatches(a, b) {
+    const scoreA = this.matchResults.get(a)?.score ?? -Infinity;
+    const scoreB = this.matchResults.get(b)?.score ?? -Infinity;
+    if (scoreA !== scoreB) return scoreB - scoreA;
+    return this.optionOrder.get(a) - this.optionOrder.get(b);
+  },
+
+  rankOptions(options) {
+    const byParent = new Map();
+    options.forEach((option) => {
+      const siblings = byParent.get(option.parentElement) || [];
+      siblings.push(option);
+      byParent.set(option.parentElement, siblings);
+    });
+
+    byParent.forEach((siblings, parent) => {
+      if (!parent) return;
+
+      const sorted = siblings.slice().sort((a, b) => this.compareMatches(a, b));
+      if (sorted.every((option, i) => option === siblings[i])) return;
+
+      const anchor = siblings[siblings.length - 1].nextSibling;
+      sorted.forEach((option) => parent.insertBefore(option, anchor));
+    });
+  },
+
+  clearHighlight(element) {
+    const marks = element.querySelectorAll("mark[data-combobox-highlight]");
+    if (marks.length === 0) return;
+
+    marks.forEach((mark) => mark.replaceWith(mark.textContent));
+    element.normalize();
+  },
+
+  highlightOption(option, indices) {
+    const key = indices?.length ? indices.join(",") : "";
+    if ((this.highlightKeys.get(option) || "") === key) return;
+
+    this.highlightKeys.set(option, key);
+    this.clearHighlight(option);
+    if (!key) return;
+
+    const marked = new Set(indices);
+    const walker = document.createTreeWalker(option, NodeFilter.SHOW_TEXT);
+    const nodes = [];
+    while (walker.nextNode()) nodes.push(walker.currentNode);
+
+    let offset = 0;
+    nodes.forEach((node) => {
+      const text = node.textContent;
+      const start = offset;
+      offset += text.length;
+
+      if (node.parentElement?.closest("svg")) return;
+
+      let hasMatch = false;
+      for (let i = 0; i < text.length; i++) {
+        if (marked.has(start + i)) {
+          hasMatch = true;
+          break;
+        }
+      }
+      if (!hasMatch) return;
+
+      const fragment = document.createDocumentFragment();
+      let i = 0;
+      while (i < text.length) {
+        const isMarked = marked.has(start + i);
+        let j = i;
+        while (j < text.length && marked.has(start + j) === isMarked) j++;
+
+        const chunk = text.slice(i, j);
+        if (isMarked) {
+          const mark = document.createElement("mark");
+          mark.setAttribute("data-combobox-highlight", "");
+          mark.className = "combobox-highlight";
+          mark.textContent = chunk;
+          fragment.appendChild(mark);
+        } else {
+          fragment.appendChild(document.createTextNode(chunk));
+        }
+        i = j;
+      }
+
+      node.replaceWith(fragment);
+    });
+  },
+
+  getVisibleOptions() {
+    if (this.virtualize) {
+      return this.visibleVirtualOptions;
+    }
+    return Array.from(this.getDropdownOptions()).filter(
+      (opt) => opt.style.display !== "none",
+    );
+  },
+
+  /**
+   * Windowed rendering for large option lists. Every option element is kept
+   * in memory, but only the rows around the scroll position are attached to
+   * the listbox; spacers above and below preserve the scroll height.
+   */
+  setupVirtualList() {
+    const options = Array.from(this.el.querySelectorAll(".combobox-option"));
+    const container = this.getOptionsContainer();
+    if (!container) {
+      this.virtualize = false;
+      return;
+    }
+
+    this.virtualViewport =
+      this.dropdown.querySelector(".scroll-viewport") || this.dropdown;
+    this.virtualOptions = options;
+    this.virtualRows = [];
+    this.virtualOverscan = parseInt(this.el.dataset.virtualOverscan) || 6;
+    this.virtualRange = null;
+    this.virtualHeights = null;
+
+    let currentGroup = null;
+    options.forEach((option) => {
+      const group = option.closest(".option-group");
+      if (group && group !== currentGroup) {
+        currentGroup = group;
+        const label = group.querySelector(".group-label");
+        if (label) {
+          this.virtualRows.push({ type: "group", el: label, group });
+        }
+      }
+      this.virtualRows.push({ type: "option", el: option, group });
+    });
+
+    options.forEach((option) => option.remove());
+    container
+      .querySelectorAll(".option-group")
+      .forEach((group) => group.remove());
+
+    this.virtualTopSpacer = document.createElement("div");
+    this.virtualList = document.createElement("div");
+    this.virtualBottomSpacer = document.createElement("div");
+    this.virtualTopSpacer.setAttribute("aria-hidden", "true");
+    this.virtualBottomSpacer.setAttribute("aria-hidden", "true");
+    this.virtualList.setAttribute("role", "presentation");
+    container.prepend(
+      this.virtualTopSpacer,
+      this.virtualList,
+      this.virtualBottomSpacer,
+    );
+
+    this.applyVirtualFilter("");
+
+    this.boundVirtualScroll = () => {
+      if (this.virtualFrame) return;
+      this.virtualFrame = requestAnimationFrame(() => {
+        this.virtualFrame = null;
+        this.renderVirtualRows();
+      });
+    };
+    this.virtualViewport.addEventListener("scroll", this.boundVirtualScroll, {
+      passive: true,
+    });
+  },
+
+  measureVirtualRows() {
+    if (this.virtualHeights) return;
+
+    const optionRow = this.virtualRows.find((row) => row.type === "option");
+    if (!optionRow) return;
+
+    const fixed = parseFloat(this.el.dataset.optionHeight);
+    const measure = (el, fallback) => {
+      if (Number.isFinite(fixed)) return fixed;
+
+      const attached = el.isConnected;
+      if (!attached) this.virtualList.appendChild(el);
+      const style = getComputedStyle(el);
+      const height =
+        el.offsetHeight +
+        parseFloat(style.marginTop || 0) +
+        parseFloat(style.marginBottom || 0);
+      if (!attached) el.remove();
+      return height || fallback;
+    };
+
+    const groupRow = this.virtualRows.find((row) => row.type === "group");
+    const option = measure(optionRow.el, 32);
+
+    this.virtualHeights = {
+      option,
+      group: groupRow ? measure(groupRow.el, option) : option,
+    };
+
+    this.computeVirtualOffsets();
+  },
+
+  computeVirtualOffsets() {
+    if (!this.virtualHeights) return;
+
+    this.virtualOffsets = [0];
+    this.filteredRows.forEach((row, index) => {
+      this.virtualOffsets.push(
+        this.virtualOffsets[index] + this.virtualHeights[row.type],
+      );
+    });
+  },
+
+  findVirtualRowAt(y) {
+    let low = 0;
+    let high = this.filteredRows.length - 1;
+
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (this.virtualOffsets[mid] <= y) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+
+    return Math.max(0, low);
+  },
+
+  applyVirtualFilter(query, resetScroll = true) {
+    const rows = [];
+    let segment = [];
+    let segmentGroup = null;
+
+    this.matchResults = new Map();
+
+    // Matches are ranked within their own group; a group label is only kept
+    // when at least one of its options matches.
+    const flush = () => {
+      if (segment.length === 0) return;
+      if (query.trim()) {
+        segment.sort((a, b) => this.compareMatches(a.el, b.el));
+      }
+      if (segmentGroup) rows.push(segmentGroup);
+      rows.push(...segment);
+      segment = [];
+    };
+
+    this.virtualRows.forEach((row) => {
+      if (row.type === "group") {
+        flush();
+        segmentGroup = row;
+        return;
+      }
+      if (segmentGroup && segmentGroup.group !== row.group) {
+        flush();
+        segmentGroup = null;
+      }
+
+      const result = this.matchOption(row.el, query);
+      if (!result) return;
+
+      this.matchResults.set(row.el, result);
+      segment.push(row);
+    });
+    flush();
+
+    this.filteredRows = rows;
+    this.visibleVirtualOptions = rows
+      .filter((row) => row.type === "option")
+      .map((row) => row.el);
+    this.virtualRowIndex = new Map(rows.map((row, index) => [row.el, index]));
+
+    this.computeVirtualOffsets();
+    if (resetScroll) {
+      this.virtualViewport.scrollTop = 0;
+    }
+    this.renderVirtualRows(true);
+  },
+
+  renderVirtualRows(force = false) {
+    if (!this.virtualize || this.dropdown.hasAttribute("hidden")) return;
+
+    this.measureVirtualRows();
+    if (!this.virtualHeights) {
+      this.virtualList.replaceChildren();
+      return;
+    }
+
+    const rows = this.filteredRows;
+    const listStart = this.virtualTopSpacer.offsetTop;
+    const viewTop = Math.max(0, this.virtualViewport.scrollTop - listStart);
+    const viewBottom = viewTop + this.virtualViewport.clientHeight;
+
+    const start = Math.max(
+      0,
+      this.findVirtualRowAt(viewTop) - this.virtualOverscan,
+    );
+    const end = Math.min(
+      rows.length,
+      this.findVirtualRowAt(viewBottom) + this.virtualOverscan + 1,
+    );
+
+    if (
+      !force &&
+      this.virtualRange &&
+      this.virtualRange.start === start &&
+      this.virtualRange.end === end
+    ) {
+      return;
+    }
+    this.virtualRange = { start, end };
+
+    const total = this.virtualOffsets[rows.length];
+    this.virtualTopSpacer.style.height = `${this.virtualOffsets[start]}px`;
+    this.virtualBottomSpacer.style.height = `${total - this.virtualOffsets[end]}px`;
+
+    const setSize = this.visibleVirtualOptions.length;
+    let position = rows
+      .slice(0, start)
+      .filter((row) => row.type === "option").length;
+
+    const rendered = rows.slice(start, end).map((row) => {
+      if (row.type === "option") {
+        position += 1;
+        row.el.setAttribute("aria-setsize", setSize);
+        row.el.setAttribute("aria-posinset", position);
+        this.highlightOption(row.el, this.matchResults.get(row.el)?.indices);
+      }
+      return row.el;
+    });
+
+    this.virtualList.replaceChildren(...rendered);
+  },
+
+  scrollOptionIntoWindow(option) {
+    const index = this.virtualRowIndex.get(option);
+    if (index === undefined) return;
+
+    this.measureVirtualRows();
+    if (!this.virtualHeights) return;
+
+    const viewport = this.virtualViewport;
+    const listStart = this.virtualTopSpacer.offsetTop;
+    const top = listStart + this.virtualOffsets[index];
+    const bottom = listStart + this.virtualOffsets[index + 1];
+
+    if (top < viewport.scrollTop) {
+      viewport.scrollTop = top;
+    } else if (bottom > viewport.scrollTop + viewport.clientHeight) {
+      viewport.scrollTop = bottom - viewport.clientHeight;
+    }
+
+    this.renderVirtualRows();
+  },
+
+  setupRemoteSearch() {
+    this.remoteViewport =
+      this.dropdown.querySelector(".scroll-viewport") || this.dropdown;
+
+    this.loadingIndicator = document.createElement("div");
+    this.loadingIndicator.className = "combobox-loading text-center";
+    this.loadingIndicator.setAttribute("role", "status");
+    this.loadingIndicator.textContent =
+      this.el.dataset.loadingText || "Loading...";
+    this.loadingIndicator.hidden = true;
+    this.getOptionsContainer().appendChild(this.loadingIndicator);
+
+    this.boundRemoteScroll = this.handleRemoteScroll.bind(this);
+    this.remoteViewport.addEventListener("scroll", this.boundRemoteScroll, {
+      passive: true,
+    });
+  },
+
+  setSearchLoading(loading) {
+    this.isSearching = loading;
+    this.dropdown.setAttribute("aria-busy", loading ? "true" : "false");
+    if (this.loadingIndicator) {
+      this.loadingIndicator.hidden = !loading;
+    }
+  },
+
+  queueRemoteSearch(query) {
+    clearTimeout(this.searchTimer);
+
+    // Bumping the id up front drops any reply still in flight.
+    this.searchRequestId += 1;
+    this.hasMoreResults = false;
+    this.setSearchLoading(true);
+    this.toggleNoResults(false);
+
+    this.searchTimer = setTimeout(() => {
+      this.searchTimer = null;
+      this.requestRemoteOptions(query, 1);
+    }, this.searchDebounce);
+  },
+
+  requestRemoteOptions(query, page) {
+    const requestId = ++this.searchRequestId;
+    this.searchQuery = query;
+    this.searchPage = page;
+    this.setSearchLoading(true);
+
+    this.pushEvent(
+      this.searchEvent,
+      { id: this.el.id, query, page },
+      (reply) => {
+        if (requestId !== this.searchRequestId) return;
+
+        this.setSearchLoading(false);
+        this.hasMoreResults = !!reply?.has_more;
+        this.renderRemoteOptions(reply?.options || [], page > 1);
+        this.updateCreateOption(query);
+        this.toggleNoResults(this.getVisibleOptions().length === 0);
+
+        if (page === 1) {
+          this.resetNavigateToFirstOption();
+        }
+      },
+    );
+  },
+
+  handleRemoteScroll() {
+    if (!this.hasMoreResults || this.isSearching) return;
+
+    const viewport = this.remoteViewport;
+    if (
+      viewport.scrollTop + viewport.clientHeight >=
+      viewport.scrollHeight - 24
+    ) {
+      this.requestRemoteOptions(this.searchQuery, this.searchPage + 1);
+    }
+  },
+
+  normalizeRemoteOption(item) {
+    if (Array.isArray(item)) {
+      return { label: String(item[0]), value: String(item[1]) };
+    }
+    if (item !== null && typeof item === "object") {
+      return {
+        label: String(item.label ?? item.value),
+        value: String(item.value),
+      };
+    }
+    return { label: String(item), value: String(item) };
+  },
+
+  // Options added at runtime are cloned from the <template> the component
+  // renders, so they carry the same markup as server-rendered options.
+  createOptionElement({ value, label }) {
+    const selector = "template[data-combobox-option-template]";
+    const template =
+      this.el.querySelector(selector) ||
+      this.portalContainer?.querySelector(selector);
+
+    const option = template
+      ? template.content.firstElementChild.cloneNode(true)
+      : document.createElement("div");
+
+    if (!template) {
+      option.className = "combobox-option";
+      option.setAttribute("role", "option");
+    }
+
+    option.setAttribute("aria-selected", "false");
+    option.dataset.comboboxValue = value;
+
+    const text =
+      option.querySelector("[data-combobox-option-label]") ||
+      option.appendChild(document.createElement("span"));
+    text.textContent = label;
+
+    return option;
+  },
+
+  syncRemoteSelectOptions(items, append) {
+    const keep = new Set(items.map((item) => item.value));
+    const existing = new Set();
+
+    Array.from(this.select.options).forEach((opt) => {
+      if (
+        !append &&
+        opt.dataset.remote === "true" &&
+        !opt.selected &&
+        !keep.has(opt.value)
+      ) {
+        opt.remove();
+      } else {
+        existing.add(opt.value);
+      }
+    });
+
+    items.forEach(({ value, label }) => {
+      if (existing.has(value)) return;
+
+      const opt = new Option(label, value);
+      opt.dataset.remote = "true";
+      this.select.appendChild(opt);
+    });
+  },
+
+  renderRemoteOptions(rawItems, append) {
+    const items = rawItems.map((item) => this.normalizeRemoteOption(item));
+    const elements = items.map(
+      (item) => this.findOption(item.value) || this.createOptionElement(item),
+    );
+
+    this.syncRemoteSelectOptions(items, append);
+
+    if (this.virtualize) {
+      const rows = elements.map((el) => ({ type: "option", el, group: null }));
+      this.virtualRows = append ? this.virtualRows.concat(rows) : rows;
+      this.virtualOptions = this.virtualRows
+        .filter((row) => row.type === "option")
+        .map((row) => row.el);
+      this.applyVirtualFilter("", !append);
+    } else {
+      const container = this.getOptionsContainer();
+      if (!append) {
+        container
+          .querySelectorAll(".combobox-option, .option-group")
+          .forEach((node) => node.remove());
+      }
+
+      const anchor = container.querySelector(".no-results, .combobox-loading");
+      elements.forEach((el) => container.insertBefore(el, anchor));
+    }
+
+    this.setupOptionListeners();
+    this.syncDisplayFromSelect();
+  },
+
+  setupCreatable() {
+    this.createOption = document.createElement("div");
+    this.createOption.className =
+      "combobox-create-option cursor-pointer rounded data-[combobox-navigate]:bg-blue-500 data-[combobox-navigate]:text-white";
+    this.createOption.setAttribute("role", "option");
+    this.createOption.setAttribute("aria-selected", "false");
+    this.createOption.id = `${this.el.id}-create-option`;
+    this.createOption.hidden = true;
+    this.getOptionsContainer().prepend(this.createOption);
+
+    this.boundCreateOptionClick = (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      this.createFromQuery();
+    };
+    this.createOption.addEventListener("click", this.boundCreateOptionClick);
+
+    if (this.searchInput && this.select.multiple) {
+      this.boundHandlePaste = this.handlePaste.bind(this);
+      this.searchInput.addEventListener("paste", this.boundHandlePaste);
+    }
+  },
+
+  hasExactMatch(query) {
+    const normalized = this.normalizeText(query);
+    if (this.findOption(query)) return true;
+
+    return this.getVisibleOptions().some((opt) => {
+      const { value, label } = this.getSearchData(opt);
+      return value === normalized || label === normalized;
+    });
+  },
+
+  updateCreateOption(query) {
+    if (!this.createOption) return;
+
+    const text = query.trim();
+    const show = text !== "" && !this.hasExactMatch(text);
+    const label = this.el.dataset.createLabel || "Add";
+
+    this.createOption.textContent = `${label} "${text}"`;
+    this.createOption.hidden = !show;
+  },
+
+  createFromQuery() {
+    if (!this.searchInput) return;
+
+    const values = this.select.multiple
+      ? this.searchInput.value.split(",")
+      : [this.searchInput.value];
+
+    values.forEach((value) => this.createValue(value));
+    this.resetSearch();
+  },
+
+  handlePaste(e) {
+    const text = (e.clipboardData || window.clipboardData)?.getData("text");
+    if (!text || !/[,\n]/.test(text)) return;
+
+    e.preventDefault();
+    text.split(/[,\n]/).forEach((value) => this.createValue(value));
+    this.resetSearch();
+  },
+
+  resetSearch() {
+    if (!this.searchInput) return;
+
+    this.searchInput.value = "";
+    this.handleSearch({ target: this.searchInput });
+  },
+
+  createValue(rawValue) {
+    const value = rawValue.trim();
+    if (!value) return;
+
+    let optionEl = this.findOption(value);
+
+    if (!optionEl) {
+      const opt = new Option(value, value);
+      opt.dataset.created = "true";
+      this.select.appendChild(opt);
+
+      optionEl = this.createOptionElement({ value, label: value });
+      this.insertOptionElement(optionEl);
+      this.setupOptionListeners();
+
+      this.el.dispatchEvent(
+        new CustomEvent("combobox:create", {
+          bubbles: true,
+          detail: { id: this.el.id, value },
+        }),
+      );
+
+      if (this.createEvent) {
+        this.pushEvent(this.createEvent, { id: this.el.id, value }, (reply) =>
+          this.handleCreateReply(value, reply),
+        );
+      }
+    }
+
+    this.selectCreatedOption(value, optionEl);
+  },
+
+  insertOptionElement(optionEl) {
+    if (this.virtualize) {
+      this.virtualRows.push({ type: "option", el: optionEl, group: null });
+      this.virtualOptions.push(optionEl);
+      return;
+    }
+
+    const container = this.getOptionsContainer();
+    const anchor = container.querySelector(".no-results, .combobox-loading");
+    container.insertBefore(optionEl, anchor);
+  },
+
+  selectCreatedOption(value, optionEl) {
+    this.lastNavigatedValue = value;
+
+    if (this.select.multiple) {
+      const option = Array.from(this.select.options).find(
+        (opt) => opt.value === value,
+      );
+      if (option && !option.selected && this.toggleOption(value, optionEl)) {
+        this.updateMultipleSelectedDisplay();
+        this.dispatchChangeEvent();
+      }
+      return;
+    }
+
+    Array.from(this.getDropdownOptions()).forEach((opt) => {
+      opt.removeAttribute("data-combobox-selected");
+      opt.setAttribute("aria-selected", "false");
+    });
+    this.selectSingleOption(value);
+    optionEl.setAttribute("data-combobox-selected", "");
+    optionEl.setAttribute("aria-selected", "true");
+    this.closeDropdown();
+    this.openButton.focus();
+  },
+
+  /**
+   * The server may normalize a created value (`%{value: ..., label: ...}`)
+   * or reject it (`%{error: ...}`), in which case the option is removed.
+   */
+  handleCreateReply(value, reply) {
+    if (!reply) return;
+
+    const option = Array.from(this.select.options).find(
+      (opt) => opt.value === value,
+    );
+    const optionEl = this.findOption(value);
+    if (!option || !optionEl) return;
+
+    if (reply.error) {
+      option.remove();
+      optionEl.remove();
+      if (this.virtualize) {
+        this.virtualRows = this.virtualRows.filter(
+          (row) => row.el !== optionEl,
+        );
+        this.virtualOptions = this.virtualOptions.filter(
+          (opt) => opt !== optionEl,
+        );
+        this.applyVirtualFilter("", false);
+      }
+      this.setupOptionListeners();
+      this.syncDisplayFromSelect();
+      this.dispatchChangeEvent();
+      return;
+    }
+
+    if (reply.value === undefined && reply.label === undefined) return;
+
+    const normalized = this.normalizeRemoteOption({
+      value: reply.value ?? value,
+      label: reply.label ?? reply.value ?? value,
+    });
+
+    option.value = normalized.value;
+    option.textContent = normalized.label;
+    optionEl.dataset.comboboxValue = normalized.value;
+    optionEl.firstElementChild.textContent = normalized.label;
+    this.searchData.delete(optionEl);
+
+    if (normalized.value !== value && this.lastNavigatedValue === value) {
+      this.lastNavigatedValue = normalized.value;
+    }
+
+    this.setupOptionListeners();
+    this.syncDisplayFromSelect();
+    this.dispatchChangeEvent();
+  },
+
+  toggleNoResults(empty) {
+    const noResults = this.dropdown.querySelector(".no-results");
+    if (!noResults) return;
+
+    if (this.createOption && !this.createOption.hidden) {
+      empty = false;
+    }
+
+    if (empty) {
+      noResults.classList.remove("hidden");
+    } else {
+      noResults.classList.add("hidden");
+    }
+  },
+
   setupOptionListeners() {
+    this.buildOptionIndex();
+
     this.boundOptionClickHandlers.forEach(({ btn, handler }) => {
       btn.removeEventListener("click", handler);
     });
@@ -178,14 +1142,13 @@ let Combobox = {
 
     requestAnimationFrame(() => {
       this.updateDropdownPosition();
+      this.renderVirtualRows(true);
 
       this.dropdownOptions = this.getDropdownOptions();
 
       let navigateTarget = null;
       if (this.lastNavigatedValue) {
-        navigateTarget = Array.from(this.dropdownOptions).find(
-          (opt) => opt.dataset.comboboxValue === this.lastNavigatedValue,
-        );
+        navigateTarget = this.findOption(this.lastNavigatedValue);
       }
       if (!navigateTarget) {
         navigateTarget = Array.from(this.dropdownOptions).find((opt) =>
@@ -194,17 +1157,13 @@ let Combobox = {
       }
 
       if (!navigateTarget) {
-        const visibleOptions = Array.from(this.dropdownOptions).filter(
-          (opt) => opt.style.display !== "none",
-        );
+        const visibleOptions = this.getVisibleOptions();
         if (visibleOptions.length > 0) {
           navigateTarget = visibleOptions[0];
         }
       }
 
-      Array.from(this.dropdownOptions).forEach((opt) =>
-        opt.removeAttribute("data-combobox-navigate"),
-      );
+      this.clearNavigation();
 
       if (navigateTarget) {
         this.navigateToOption(navigateTarget);
@@ -236,15 +1195,29 @@ let Combobox = {
     this.moveDropdownBack();
   },
 
+  clearNavigation() {
+    if (this.virtualize) {
+      this.navigatedOption?.removeAttribute("data-combobox-navigate");
+    } else {
+      Array.from(this.getDropdownOptions()).forEach((opt) => {
+        opt.removeAttribute("data-combobox-navigate");
+      });
+    }
+    this.navigatedOption = null;
+  },
+
   navigateToOption(option) {
     if (!option) return;
 
-    Array.from(this.getDropdownOptions()).forEach((opt) => {
-      opt.removeAttribute("data-combobox-navigate");
-    });
+    this.clearNavigation();
+
+    if (this.virtualize) {
+      this.scrollOptionIntoWindow(option);
+    }
 
     option.setAttribute("data-combobox-navigate", "");
     option.scrollIntoView({ block: "nearest" });
+    this.navigatedOption = option;
     this.lastNavigatedValue = option.dataset.comboboxValue;
 
     if (option.id) {
@@ -255,9 +1228,7 @@ let Combobox = {
   },
 
   resetNavigateToFirstOption() {
-    const visibleOptions = Array.from(this.getDropdownOptions()).filter(
-      (opt) => opt.style.display !== "none",
-    );
+    const visibleOptions = this.getVisibleOptions();
 
     if (visibleOptions.length > 0) {
       this.navigateToOption(visibleOptions[0]);
@@ -296,27 +1267,36 @@ let Combobox = {
   },
 
   handleSearch(e) {
-    const query = e.target.value.toLowerCase();
+    if (this.searchEvent) {
+      this.queueRemoteSearch(e.target.value);
+      return;
+    }
+
+    const query = this.normalizeText(e.target.value);
     this.dropdownOptions = this.getDropdownOptions();
 
-    Array.from(this.dropdownOptions).forEach((option) => {
-      const valueAttr = option
-        .getAttribute("data-combobox-value")
-        .toLowerCase();
-      const displayText = option.textContent.trim().toLowerCase();
-      const matches = valueAttr.includes(query) || displayText.includes(query);
-      option.style.display = matches ? "" : "none";
+    if (this.virtualize) {
+      this.applyVirtualFilter(query);
+      this.updateCreateOption(e.target.value);
+      this.toggleNoResults(this.getVisibleOptions().length === 0);
+      this.resetNavigateToFirstOption();
+      return;
+    }
+
+    const options = Array.from(this.dropdownOptions);
+    this.matchResults = new Map();
+
+    options.forEach((option) => {
+      const result = this.matchOption(option, query);
+      option.style.display = result ? "" : "none";
+      if (result) this.matchResults.set(option, result);
+      this.highlightOption(option, result?.indices);
     });
 
-    const noResults = this.dropdown.querySelector(".no-results");
-    const visibleOptions = Array.from(this.dropdownOptions).filter(
-      (option) => option.style.display !== "none",
-    );
-    if (visibleOptions.length === 0) {
-      if (noResults) noResults.classList.remove("hidden");
-    } else {
-      if (noResults) noResults.classList.add("hidden");
-    }
+    this.rankOptions(options);
+
+    this.updateCreateOption(e.target.value);
+    this.toggleNoResults(this.getVisibleOptions().length === 0);
 
     const optionGroups = this.dropdown.querySelectorAll(".option-group");
     optionGroups.forEach((group) => {
@@ -338,9 +1318,10 @@ let Combobox = {
     this.lastNavigatedValue = value;
 
     if (isMultiple) {
-      this.toggleOption(value, optionEl);
-      this.updateMultipleSelectedDisplay();
-      this.dispatchChangeEvent();
+      if (this.toggleOption(value, optionEl)) {
+        this.updateMultipleSelectedDisplay();
+        this.dispatchChangeEvent();
+      }
       if (this.searchInput) {
         setTimeout(() => {
           this.searchInput.focus();
@@ -359,22 +1340,128 @@ let Combobox = {
     }
   },
 
+  getSelectedCount() {
+    return Array.from(this.select.options).filter(
+      (opt) => opt.selected && opt.value !== "",
+    ).length;
+  },
+
+  formatMessage(template, fallback, count) {
+    return (template || fallback).replace("{count}", count);
+  },
+
+  announce(message) {
+    let liveRegion = document.getElementById(`${this.el.id}-live-region`);
+
+    if (!liveRegion) {
+      liveRegion = document.createElement("div");
+      liveRegion.id = `${this.el.id}-live-region`;
+      liveRegion.className = "sr-only";
+      liveRegion.setAttribute("aria-live", "polite");
+      liveRegion.setAttribute("aria-atomic", "true");
+      this.el.appendChild(liveRegion);
+    }
+
+    // Clearing first makes screen readers repeat an identical message.
+    liveRegion.textContent = "";
+    requestAnimationFrame(() => {
+      liveRegion.textContent = message;
+    });
+  },
+
+  // Enforces `data-max-selections` and `data-min-selections` in multiple mode.
+  canChangeSelection(selecting) {
+    if (!this.select.multiple) return true;
+
+    const count = this.getSelectedCount();
+
+    if (selecting && this.maxSelections && count >= this.maxSelections) {
+      this.announce(
+        this.formatMessage(
+          this.el.dataset.maxSelectionsMessage,
+          "You can select up to {count} options",
+          this.maxSelections,
+        ),
+      );
+      return false;
+    }
+
+    // A removal is refused at the minimum and below it, which a server patch
+    // or preselected values can leave behind; picking more is always allowed
+    if (!selecting && this.minSelections && count <= this.minSelections) {
+      this.announce(
+        this.formatMessage(
+          this.el.dataset.minSelectionsMessage,
+          "Select at least {count} options",
+          this.minSelections,
+        ),
+      );
+      return false;
+    }
+
+    return true;
+  },
+
+  updateSelectionLimitState() {
+    if (!this.select.multiple || !this.maxSelections) return;
+
+    const limitReached = this.getSelectedCount() >= this.maxSelections;
+
+    Array.from(this.getDropdownOptions()).forEach((opt) => {
+      if (limitReached && !opt.hasAttribute("data-combobox-selected")) {
+        opt.setAttribute("aria-disabled", "true");
+        opt.setAttribute("data-combobox-limit", "");
+      } else if (opt.hasAttribute("data-combobox-limit")) {
+        opt.removeAttribute("aria-disabled");
+        opt.removeAttribute("data-combobox-limit");
+      }
+    });
+  },
+
+  deselectValue(value) {
+    const option = Array.from(this.select.options).find(
+      (opt) => opt.value === value,
+    );
+    if (!option || !option.selected) return;
+    if (!this.canChangeSelection(false)) return;
+
+    option.selected = false;
+    option.removeAttribute("selected");
+    const optionEl = this.findOption(value);
+    if (optionEl) {
+      optionEl.removeAttribute("data-combobox-selected");
+      optionEl.setAttribute("aria-selected", "false");
+    }
+    this.updateMultipleSelectedDisplay();
+    this.dispatchChangeEvent();
+  },
+
+  removeLastSelection() {
+    const selected = Array.from(this.select.options).filter(
+      (opt) => opt.selected && opt.value !== "",
+    );
+    const last = selected[selected.length - 1];
+    if (last) this.deselectValue(last.value);
+  },
+
   toggleOption(value, optionEl) {
     const option = Array.from(this.select.options).find(
       (opt) => opt.value === value,
     );
-    if (option) {
-      option.selected = !option.selected;
-      if (option.selected) {
-        option.setAttribute("selected", "");
-        optionEl.setAttribute("data-combobox-selected", "");
-        optionEl.setAttribute("aria-selected", "true");
-      } else {
-        option.removeAttribute("selected");
-        optionEl.removeAttribute("data-combobox-selected");
-        optionEl.setAttribute("aria-selected", "false");
-      }
+    if (!option) return false;
+    if (!this.canChangeSelection(!option.selected)) return false;
+
+    option.selected = !option.selected;
+    if (option.selected) {
+      option.setAttribute("selected", "");
+      optionEl.setAttribute("data-combobox-selected", "");
+      optionEl.setAttribute("aria-selected", "true");
+    } else {
+      option.removeAttribute("selected");
+      optionEl.removeAttribute("data-combobox-selected");
+      optionEl.setAttribute("aria-selected", "false");
     }
+    return true;
   },
 
   selectSingleOption(value) {
@@ -401,12 +1488,11 @@ let Combobox = {
 
     if (selectedOption) {
       if (placeholder) placeholder.style.display = "none";
-      const renderedOption = Array.from(this.getDropdownOptions()).find(
-        (opt) => opt.dataset.comboboxValue === selectedOption.value,
-      );
+      const renderedOption = this.findOption(selectedOption.value);
       this.selectedDisplay.innerHTML = renderedOption
         ? renderedOption.innerHTML
         : selectedOption.textContent;
+      this.clearHighlight(this.selectedDisplay);
       if (renderedOption) {
         renderedOption.setAttribute("data-combobox-selected", "");
         renderedOption.setAttribute("aria-selected", "true");
@@ -432,23 +1518,26 @@ let Combobox = {
 
     if (selectedOptions.length > 0) {
       placeholder.style.display = "none";
-      if (clearBtn) clearBtn.hidden = false;
+      // Clearing removes every selection, which a minimum never allows
+      if (clearBtn) clearBtn.hidden = !!this.minSelections;
     } else {
       placeholder.style.display = "";
       if (clearBtn) clearBtn.hidden = true;
     }
 
     selectedOptions.forEach((option) => {
-      const optionEl = Array.from(this.getDropdownOptions()).find(
-        (opt) => opt.dataset.comboboxValue === option.value,
-      );
+      const optionEl = this.findOption(option.value);
       if (optionEl) {
         optionEl.setAttribute("data-combobox-selected", "");
         optionEl.setAttribute("aria-selected", "true");
       }
     });
 
-    selectedOptions.forEach((option) => {
+    const visibleCount = this.maxVisiblePills
+      ? Math.min(this.maxVisiblePills, selectedOptions.length)
+      : selectedOptions.length;
+
+    selectedOptions.slice(0, visibleCount).forEach((option) => {
       const pill = document.createElement("span");
       pill.classList.add(
         "selected-item",
@@ -458,11 +1547,10 @@ let Combobox = {
         "combobox-pill",
       );
 
-      const renderedOption = Array.from(this.getDropdownOptions()).find(
-        (opt) => opt.dataset.comboboxValue === option.value,
-      );
+      const renderedOption = this.findOption(option.value);
       if (renderedOption) {
         pill.innerHTML = renderedOption.innerHTML;
+        this.clearHighlight(pill);
       } else {
         pill.textContent = option.textContent;
       }
@@ -473,21 +1561,29 @@ let Combobox = {
       closeBtn.addEventListener("click", (e) => {
         e.preventDefault();
         e.stopPropagation();
-        option.selected = false;
-        option.removeAttribute("selected");
-        const optionEl = Array.from(this.getDropdownOptions()).find(
-          (opt) => opt.dataset.comboboxValue === option.value,
-        );
-        if (optionEl) {
-          optionEl.removeAttribute("data-combobox-selected");
-          optionEl.setAttribute("aria-selected", "false");
-        }
-        this.updateMultipleSelectedDisplay();
-        this.dispatchChangeEvent();
+        this.deselectValue(option.value);
       });
       pill.appendChild(closeBtn);
       this.selectedDisplay.appendChild(pill);
     });
+
+    const hiddenCount = selectedOptions.length - visibleCount;
+    if (hiddenCount > 0) {
+      const more = document.createElement("span");
+      more.classList.add(
+        "selected-item",
+        "combobox-pill",
+        "combobox-pill-more",
+      );
+      more.textContent = this.formatMessage(
+        this.el.dataset.morePillsLabel,
+        "+{count} more",
+        hiddenCount,
+      );
+      this.selectedDisplay.appendChild(more);
+    }
+
+    this.updateSelectionLimitState();
   },
 
   handleKeyDown(e) {
@@ -521,6 +1617,33 @@ let Combobox = {
       "Escape",
     ].includes(key);
 
+    if (
+      key === "Backspace" &&
+      this.select.multiple &&
+      this.searchInput &&
+      document.activeElement === this.searchInput &&
+      this.searchInput.value === ""
+    ) {
+      // The handler is bound on both the input and the document
+      e.preventDefault();
+      e.stopPropagation();
+      this.removeLastSelection();
+      return;
+    }
+
+    const isCreatingFromSearch =
+      this.creatable &&
+      this.searchInput &&
+      document.activeElement === this.searchInput &&
+      this.searchInput.value.trim() !== "";
+
+    if (isCreatingFromSearch && key === "," && this.select.multiple) {
+      e.preventDefault();
+      e.stopPropagation();
+      this.createFromQuery();
+      return;
+    }
+
     if (
       this.searchInput &&
       document.activeElement === this.searchInput &&
@@ -530,44 +1653,69 @@ let Combobox = {
       return;
     }
 
-    const visibleOptions = Array.from(this.getDropdownOptions()).filter(
-      (opt) => opt.style.display !== "none",
-    );
+    const visibleOptions = this.getVisibleOptions();
+
+    if (
+      isCreatingFromSearch &&
+      key === "Enter" &&
+      visibleOptions.length === 0 &&
+      !this.createOption.hidden
+    ) {
+      e.preventDefault();
+      e.stopPropagation();
+      this.createFromQuery();
+      return;
+    }
 
-    if (visibleOptions.length === 0) return;
+    // The "Add ..." row sits first in the list and takes part in arrow
+    // navigation, so a value can be created while other options still match
+    const navigableOptions =
+      this.createOption && !this.createOption.hidden
+        ? [this.createOption, ...visibleOptions]
+        : visibleOptions;
 
-    let currentIndex = visibleOptions.findIndex((opt) =>
-      opt.hasAttribute("data-combobox-navigate"),
-    );
+    if (navigableOptions.length === 0) return;
+
+    let currentIndex = this.navigatedOption
+      ? navigableOptions.indexOf(this.navigatedOption)
+      : navigableOptions.findIndex((opt) =>
+          opt.hasAttribute("data-combobox-navigate"),
+        );
 
     if (key === "ArrowDown") {
       e.preventDefault();
       e.stopPropagation();
       currentIndex =
-        currentIndex < 0 ? 0 : (currentIndex + 1) % visibleOptions.length;
-      this.navigateToOption(visibleOptions[currentIndex]);
+        currentIndex < 0 ? 0 : (currentIndex + 1) % navigableOptions.length;
+      this.navigateToOption(navigableOptions[currentIndex]);
       return;
     } else if (key === "ArrowUp") {
       e.preventDefault();
       e.stopPropagation();
       currentIndex =
         currentIndex < 0
-          ? visibleOptions.length - 1
-          : (currentIndex - 1 + visibleOptions.length) % visibleOptions.length;
-      this.navigateToOption(visibleOptions[currentIndex]);
+          ? navigableOptions.length - 1
+          : (currentIndex - 1 + navigableOptions.length) %
+            navigableOptions.length;
+      this.navigateToOption(navigableOptions[currentIndex]);
       return;
     } else if (key === "Enter") {
       e.preventDefault();
       e.stopPropagation();
+      if (navigableOptions[currentIndex] === this.createOption) {
+        this.createFromQuery();
+        return;
+      }
       if (currentIndex >= 0) {
-        const targetOption = visibleOptions[currentIndex];
+        const targetOption = navigableOptions[currentIndex];
         const value = targetOption.dataset.comboboxValue;
         this.lastNavigatedValue = value;
 
         if (this.select.multiple) {
-          this.toggleOption(value, targetOption);
-          this.updateMultipleSelectedDisplay();
-          this.dispatchChangeEvent();
+          if (this.toggleOption(value, targetOption)) {
+            this.updateMultipleSelectedDisplay();
+            this.dispatchChangeEvent();
+          }
           this.navigateToOption(targetOption);
         } else {
           Array.from(this.getDropdownOptions()).forEach((opt) => {
@@ -587,7 +1735,7 @@ let Combobox = {
       return;
     } else if (key.length === 1) {
       e.preventDefault();
-      this.handleCharacterNavigation(key.toLowerCase(), visibleOptions);
+      this.handleCharacterNavigation(this.normalizeText(key), visibleOptions);
       return;
     } else {
       return;
@@ -596,17 +1744,12 @@ let Combobox = {
 
   handleCharacterNavigation(char, options) {
     const matchingOptions = options.filter((opt) => {
-      const valueAttr = opt.getAttribute("data-combobox-value") || "";
-      const labelText = opt.textContent.trim().toLowerCase();
-      return (
-        valueAttr.toLowerCase().startsWith(char) || labelText.startsWith(char)
-      );
+      const { value, label } = this.getSearchData(opt);
+      return value.startsWith(char) || label.startsWith(char);
     });
     if (matchingOptions.length === 0) return;
 
-    let currentIndex = matchingOptions.findIndex((opt) =>
-      opt.hasAttribute("data-combobox-navigate"),
-    );
+    let currentIndex = matchingOptions.indexOf(this.navigatedOption);
     currentIndex = (currentIndex + 1) % matchingOptions.length;
 
     this.navigateToOption(matchingOptions[currentIndex]);
@@ -678,6 +1821,24 @@ let Combobox = {
     if (this.observer) {
       this.observer.disconnect();
     }
+    if (this.virtualViewport && this.boundVirtualScroll) {
+      this.virtualViewport.removeEventListener(
+        "scroll",
+        this.boundVirtualScroll,
+      );
+    }
+    if (this.virtualFrame) {
+      cancelAnimationFrame(this.virtualFrame);
+      this.virtualFrame = null;
+    }
+    if (this.searchEvent) {
+      clearTimeout(this.searchTimer);
+      this.searchRequestId += 1;
+      this.remoteViewport?.removeEventListener(
+        "scroll",
+        this.boundRemoteScroll,
+      );
+    }
     document.removeEventListener("click", this.boundHandleDocumentClick, true);
     if (this.openButton && this.boundOpenButtonClick) {
       this.openButton.removeEventListener("click", this.boundOpenButtonClick);
@@ -701,6 +1862,15 @@ let Combobox = {
     if (this.clearButton && this.boundClearButtonClick) {
       this.clearButton.removeEventListener("click", this.boundClearButtonClick);
     }
+    if (this.createOption) {
+      this.createOption.removeEventListener(
+        "click",
+        this.boundCreateOptionClick,
+      );
+    }
+    if (this.searchInput && this.boundHandlePaste) {
+      this.searchInput.removeEventListener("paste", this.boundHandlePaste);
+    }
   },
 };
 
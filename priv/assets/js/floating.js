@@ -10,12 +10,27 @@ const Floating = {
     this.boundHandleMouseEnter = this.handleMouseEnter.bind(this);
     this.boundHandleMouseLeave = this.handleMouseLeave.bind(this);
     this.boundUpdatePosition = this.updatePosition.bind(this);
+    this.boundScheduleUpdate = this.scheduleUpdate.bind(this);
 
     this.enableAria = this.el.getAttribute("data-enable-aria") !== "false";
     this.smartPositioning =
       this.el.getAttribute("data-smart-position") === "true";
     this.clickable = this.el.getAttribute("data-clickable") === "true";
     this.position = this.el.getAttribute("data-position") || "bottom";
+    this.offset = this.parseNumber(this.el.getAttribute("data-offset"), 5);
+    // Shifting only moves the content along the trigger edge, so it stays on
+    // by default and never fights with flipping over the main axis
+    this.shiftEnabled = this.el.getAttribute("data-shift") !== "false";
+    this.sizeEnabled = this.el.getAttribute("data-size") === "true";
+    this.viewportPadding = this.parseNumber(
+      this.el.getAttribute("data-viewport-padding"),
+      8,
+    );
+    this.hideOnDetach = this.el.getAttribute("data-hide-on-detach") !== "false";
+
+    this.scrollParents = [];
+    this.positionFrame = null;
+    this.autoUpdateActive = false;
 
     this.showDelay = parseInt(this.el.getAttribute("data-show-delay")) || 0;
     this.hideDelay = parseInt(this.el.getAttribute("data-hide-delay")) || 400;
@@ -81,6 +96,8 @@ const Floating = {
   },
 
   beforeUpdate() {
+    this.stopAutoUpdate();
+
     if (this.showTimeout) {
       clearTimeout(this.showTimeout);
       this.showTimeout = null;
@@ -209,7 +226,6 @@ const Floating = {
     document.addEventListener("click", this.boundHandleOutsideClick);
     document.addEventListener("keydown", this.boundHandleKeydown);
     window.addEventListener("resize", this.updatePositionDebounced);
-    window.addEventListener("scroll", this.updatePositionDebounced, true);
   },
 
   getFloatingType() {
@@ -364,6 +380,140 @@ const Floating = {
     }
   },
 
+  parseNumber(value, fallback) {
+    const parsed = parseFloat(value);
+    return Number.isFinite(parsed) ? parsed : fallback;
+  },
+
+  parsePlacement(placement) {
+    const [side, align] = (placement || "bottom").split("-");
+    const sides = ["top", "bottom", "left", "right"];
+
+    return {
+      side: sides.includes(side) ? side : "bottom",
+      align: align === "start" || align === "end" ? align : "center",
+    };
+  },
+
+  oppositeSide(side) {
+    return { top: "bottom", bottom: "top", left: "right", right: "left" }[side];
+  },
+
+  // Left and right are logical sides, so they are mirrored in RTL documents.
+  physicalSide(side) {
+    if (!this.isRTL) return side;
+    if (side === "left") return "right";
+    if (side === "right") return "left";
+    return side;
+  },
+
+  getAvailableSpace(rect, side) {
+    const { innerHeight, innerWidth } = window;
+    const padding = this.viewportPadding + this.offset;
+
+    switch (side) {
+      case "top":
+        return rect.top - padding;
+      case "bottom":
+        return innerHeight - rect.bottom - padding;
+      case "left":
+        return rect.left - padding;
+      default:
+        return innerWidth - rect.right - padding;
+    }
+  },
+
+  computeCoords(rect, width, height, side, align) {
+    const isVertical = side === "top" || side === "bottom";
+    // Start and end follow the reading direction on the horizontal axis.
+    const logicalAlign =
+      isVertical && this.isRTL && align !== "center"
+        ? align === "start"
+          ? "end"
+          : "start"
+        : align;
+
+    let x, y;
+
+    if (isVertical) {
+      y =
+        side === "top"
+          ? rect.top - height - this.offset
+          : rect.bottom + this.offset;
+
+      if (logicalAlign === "start") x = rect.left;
+      else if (logicalAlign === "end") x = rect.right - width;
+      else x = rect.left + (rect.width - width) / 2;
+    } else {
+      x =
+        side === "left"
+          ? rect.left - width - this.offset
+          : rect.right + this.offset;
+
+      if (logicalAlign === "start") y = rect.top;
+      else if (logicalAlign === "end") y = rect.bottom - height;
+      else y = rect.top + (rect.height - height) / 2;
+    }
+
+    return { x, y };
+  },
+
+  // Only the cross axis is clamped; moving along the main axis would push
+  // the content over its trigger, which is what flipping is for.
+  shiftCoords(coords, width, height, side) {
+    const padding = this.viewportPadding;
+
+    if (side === "top" || side === "bottom") {
+      const maxX = window.innerWidth - width - padding;
+      return { ...coords, x: Math.max(padding, Math.min(coords.x, maxX)) };
+    }
+
+    const maxY = window.innerHeight - height - padding;
+    return { ...coords, y: Math.max(padding, Math.min(coords.y, maxY)) };
+  },
+
+  applySize(content, rect, side) {
+    const available = Math.max(0, this.getAvailableSpace(rect, side));
+
+    const maxHeight =
+      side === "top" || side === "bottom"
+        ? available
+        : window.innerHeight - this.viewportPadding * 2;
+
+    content.style.maxHeight = `${maxHeight}px`;
+    content.style.overflowY = "auto";
+  },
+
+  positionArrow(content, rect, coords, side) {
+    const arrow = content.querySelector("[data-floating-arrow]");
+    if (!arrow) return;
+
+    const arrowWidth = arrow.offsetWidth;
+    const arrowHeight = arrow.offsetHeight;
+    const isVertical = side === "top" || side === "bottom";
+    const edge = 4;
+
+    arrow.style.position = "absolute";
+    arrow.style.top = "";
+    arrow.style.right = "";
+    arrow.style.bottom = "";
+    arrow.style.left = "";
+
+    if (isVertical) {
+      const center = rect.left + rect.width / 2 - coords.x - arrowWidth / 2;
+      const max = content.offsetWidth - arrowWidth - edge;
+      arrow.style.left = `${Math.max(edge, Math.min(center, max))}px`;
+      arrow.style[side === "top" ? "bottom" : "top"] = `${-arrowHeight / 2}px`;
+    } else {
+      const center = rect.top + rect.height / 2 - coords.y - arrowHeight / 2;
+      const max = content.offsetHeight - arrowHeight - edge;
+      arrow.style.top = `${Math.max(edge, Math.min(center, max))}px`;
+      arrow.style[side === "left" ? "right" : "left"] = `${-arrowWidth / 2}px`;
+    }
+
+    arrow.setAttribute("data-side", side);
+  },
+
   updatePosition() {
     if (!this.trigger || !this.floatingContent) return;
 
@@ -376,65 +526,136 @@ const Floating = {
 
     const rect = this.trigger.getBoundingClientRect();
     const content = this.floatingContent;
-    const gap = 5;
-    let pos = this.position;
-
-    if (this.smartPositioning && content.offsetHeight) {
-      const { top, bottom, left, right } = rect;
-      const { innerHeight, innerWidth } = window;
-      const height = content.offsetHeight;
-      const width = content.offsetWidth;
-
-      const spaceTop = top;
-      const spaceBottom = innerHeight - bottom;
-      const spaceLeft = left;
-      const spaceRight = innerWidth - right;
-
-      if (pos === "bottom" && spaceBottom < height && spaceTop >= height) {
-        pos = "top";
-      } else if (pos === "top" && spaceTop < height && spaceBottom >= height) {
-        pos = "bottom";
-      } else if (pos === "left" && spaceLeft < width && spaceRight >= width) {
-        pos = "right";
-      } else if (pos === "right" && spaceRight < width && spaceLeft >= width) {
-        pos = "left";
+    const placement = this.parsePlacement(this.position);
+    let side = this.physicalSide(placement.side);
+
+    if (this.sizeEnabled) {
+      content.style.maxHeight = "";
+    }
+
+    let width = content.offsetWidth;
+    let height = content.offsetHeight;
+
+    if (this.smartPositioning && height) {
+      const isVertical = side === "top" || side === "bottom";
+      const needed = isVertical ? height : width;
+      const opposite = this.oppositeSide(side);
+      const space = this.getAvailableSpace(rect, side);
+      const oppositeSpace = this.getAvailableSpace(rect, opposite);
+
+      if (space < needed && oppositeSpace > space) {
+        side = opposite;
       }
     }
 
-    let top, left;
-    if (pos === "top") {
-      top = rect.top + window.scrollY - content.offsetHeight - gap;
-      left = (rect.left + rect.right) / 2 + window.scrollX;
-      content.style.transform = "translateX(-50%)";
-    } else if (pos === "bottom") {
-      top = rect.bottom + window.scrollY + gap;
-      left = (rect.left + rect.right) / 2 + window.scrollX;
-      content.style.transform = "translateX(-50%)";
-    } else if (pos === "left") {
-      top =
-        rect.top + window.scrollY + (rect.height - content.offsetHeight) / 2;
-      left = this.isRTL
-        ? rect.right + window.scrollX + gap
-        : rect.left + window.scrollX - content.offsetWidth - gap;
-      content.style.transform = "none";
-    } else if (pos === "right") {
-      top =
-        rect.top + window.scrollY + (rect.height - content.offsetHeight) / 2;
-      left = this.isRTL
-        ? rect.left + window.scrollX - content.offsetWidth - gap
-        : rect.right + window.scrollX + gap;
-      content.style.transform = "none";
+    if (this.sizeEnabled && height) {
+      this.applySize(content, rect, side);
+      width = content.offsetWidth;
+      height = content.offsetHeight;
+    }
+
+    let coords = this.computeCoords(rect, width, height, side, placement.align);
+
+    if (this.shiftEnabled && height) {
+      coords = this.shiftCoords(coords, width, height, side);
     }
 
     content.style.position = "absolute";
-    content.style.top = `${top}px`;
-    content.style.left = `${left}px`;
+    content.style.transform = "none";
+    content.style.top = `${coords.y + window.scrollY}px`;
+    content.style.left = `${coords.x + window.scrollX}px`;
+    content.setAttribute(
+      "data-placement",
+      placement.align === "center" ? side : `${side}-${placement.align}`,
+    );
+
+    this.positionArrow(content, rect, coords, side);
 
     if (isSpan && originalDisplay !== "inline-block") {
       this.trigger.style.display = originalDisplay || "";
     }
   },
 
+  getScrollParents(element) {
+    const parents = [];
+    let current = element?.parentElement;
+
+    while (current && current !== document.body) {
+      const { overflow, overflowX, overflowY } = getComputedStyle(current);
+      if (/(auto|scroll|overlay)/.test(overflow + overflowX + overflowY)) {
+        parents.push(current);
+      }
+      current = current.parentElement;
+    }
+
+    parents.push(window);
+    return parents;
+  },
+
+  scheduleUpdate() {
+    if (this.positionFrame) return;
+
+    this.positionFrame = requestAnimationFrame(() => {
+      this.positionFrame = null;
+      this.updatePosition();
+    });
+  },
+
+  startAutoUpdate() {
+    if (this.autoUpdateActive || !this.trigger || !this.floatingContent) return;
+    this.autoUpdateActive = true;
+
+    this.scrollParents = this.getScrollParents(this.trigger);
+    this.scrollParents.forEach((parent) => {
+      parent.addEventListener("scroll", this.boundScheduleUpdate, {
+        passive: true,
+      });
+    });
+
+    if (typeof ResizeObserver !== "undefined") {
+      this.resizeObserver = new ResizeObserver(this.boundScheduleUpdate);
+      this.resizeObserver.observe(this.trigger);
+      this.resizeObserver.observe(this.floatingContent);
+    }
+
+    if (this.hideOnDetach && typeof IntersectionObserver !== "undefined") {
+      this.intersectionObserver = new IntersectionObserver((entries) => {
+        const detached = entries.some((entry) => !entry.isIntersecting);
+        if (
+          detached &&
+          this.floatingContent?.classList.contains("show-dropdown")
+        ) {
+          this.hide();
+        }
+      });
+      this.intersectionObserver.observe(this.trigger);
+    }
+  },
+
+  stopAutoUpdate() {
+    this.scrollParents.forEach((parent) => {
+      parent.removeEventListener("scroll", this.boundScheduleUpdate);
+    });
+    this.scrollParents = [];
+
+    if (this.resizeObserver) {
+      this.resizeObserver.disconnect();
+      this.resizeObserver = null;
+    }
+
+    if (this.intersectionObserver) {
+      this.intersectionObserver.disconnect();
+      this.intersectionObserver = null;
+    }
+
+    if (this.positionFrame) {
+      cancelAnimationFrame(this.positionFrame);
+      this.positionFrame = null;
+    }
+
+    this.autoUpdateActive = false;
+  },
+
   show() {
     if (!this.floatingContent) return;
 
@@ -444,7 +665,6 @@ const Floating = {
     content.style.transition = "none";
 
     this.setVisibility(content, true);
-    this.updatePosition();
 
     const triggerWidth = this.trigger.offsetWidth;
     if (!this.forcedWidth) {
@@ -455,6 +675,8 @@ const Floating = {
     }
 
     content.style.width = this.forcedWidth ? `${this.forcedWidth}px` : "auto";
+    this.updatePosition();
+    this.startAutoUpdate();
 
     content.offsetHeight;
     content.style.transition = transition;
@@ -478,6 +700,8 @@ const Floating = {
     const isCurrentlyVisible =
       this.floatingContent.classList.contains("show-dropdown");
 
+    this.stopAutoUpdate();
+
     this.setVisibility(this.floatingContent, false);
 
     if (this.enableAria && isCurrentlyVisible) {
@@ -508,6 +732,8 @@ const Floating = {
   },
 
   destroyed() {
+    this.stopAutoUpdate();
+
     if (this.showTimeout) {
       clearTimeout(this.showTimeout);
       this.showTimeout = null;
@@ -527,11 +753,6 @@ const Floating = {
       "resize",
       this.updatePositionDebounced || this.boundUpdatePosition,
     );
-    window.removeEventListener(
-      "scroll",
-      this.updatePositionDebounced || this.boundUpdatePosition,
-      true,
-    );
 
     if (this.trigger && this.clickable) {
       this.trigger.removeEventListener("click", this.boundHandleClick);
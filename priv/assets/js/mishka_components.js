@@ -1,3 +1,75 @@
-const Components = {};
+/**
+ * Mishka Chelekom Hooks Registry
+ *
+ * Every hook shipped with the library is exported by name, so bundlers can
+ * tree-shake the ones an app never imports. The default export is the
+ * registry keyed by the exact `phx-hook` names used in the component
+ * templates, ready to be spread into `LiveSocket` hooks. Projects set up by
+ * `mix mishka.ui.gen.component` get a copy that only lists the hooks of the
+ * generated components.
+ *
+ * @module MishkaComponents
+ */
+
+import Carousel from "./carousel.js";
+import Clipboard from "./clipboard.js";
+import ClipboardPaste from "./clipboardPaste.js";
+import Collapsible from "./collapsible.js";
+import Combobox from "./combobox.js";
+import Floating from "./floating.js";
+import GalleryFilter from "./galleryFilter.js";
+import ScrollArea from "./scrollArea.js";
+import Sidebar from "./sidebar.js";
+
+const Components = {
+  Carousel,
+  Clipboard,
+  ClipboardPaste,
+  Collapsible,
+  Combobox,
+  Floating,
+  GalleryFilter,
+  ScrollArea,
+  Sidebar,
+};
+
+/**
+ * Copy hooks from the registry into an existing hooks object.
+ *
+ * @param {Object} [liveSocketHooks={}] - Hooks object passed to `LiveSocket`.
+ * @param {Object} [options={}]
+ * @param {string[]} [options.only] - Register only these hook names.
+ * @param {string[]} [options.except] - Skip these hook names.
+ * @returns {Object} The same hooks object, extended with the selected hooks.
+ */
+export function register(liveSocketHooks = {}, { only, except } = {}) {
+  const names = Array.isArray(only) ? only : Object.keys(Components);
+  const skipped = new Set(Array.isArray(except) ? except : []);
+
+  names.forEach((name) => {
+    if (skipped.has(name)) return;
+
+    if (!Object.prototype.hasOwnProperty.call(Components, name)) {
+      console.warn(`MishkaComponents: unknown hook "${name}"`);
+      return;
+    }
+
+    liveSocketHooks[name] = Components[name];
+  });
+
+  return liveSocketHooks;
+}
+
+export {
+  Carousel,
+  Clipboard,
+  ClipboardPaste,
+  Collapsible,
+  Combobox,
+  Floating,
+  GalleryFilter,
+  ScrollArea,
+  Sidebar,
+};
 
 export default Components;
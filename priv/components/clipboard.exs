@@ -2,7 +2,7 @@
   clipboard: [
     name: "clipboard",
     args: [
-      only: ["clipboard"],
+      only: ["clipboard", "clipboard_paste"],
       helpers: [],
       module: ""
     ],
@@ -14,6 +14,12 @@
         file: "clipboard.js",
         module: "Clipboard",
         imports: "import Clipboard from \"./clipboard.js\";"
+      },
+      %{
+        type: "file",
+        file: "clipboardPaste.js",
+        module: "ClipboardPaste",
+        imports: "import ClipboardPaste from \"./clipboardPaste.js\";"
       }
     ]
   ]
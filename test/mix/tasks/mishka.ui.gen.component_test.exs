@@ -129,6 +129,67 @@ defmodule Mix.Tasks.Mishka.Ui.Gen.ComponentTest do
     end
   end
 
+  describe "hooks registry" do
+    test "registry_seed keeps the register helper without any shipped hook" do
+      seed =
+        "priv/assets/js/mishka_components.js"
+        |> File.read!()
+        |> Component.registry_seed()
+
+      refute seed =~ ~r/^import /m
+      refute seed =~ "./carousel.js"
+      assert seed =~ "const Components = {};"
+      assert seed =~ "export {};"
+      assert seed =~ "export function register("
+      assert seed =~ "export default Components;"
+    end
+
+    test "add_registry_export adds each generated hook once" do
+      content =
+        "const Components = {};\nexport {};\nexport default Components;\n"
+        |> Component.add_registry_export("Carousel")
+        |> Component.add_registry_export("Clipboard")
+        |> Component.add_registry_export("Carousel")
+
+      assert content =~ "export { Carousel, Clipboard };"
+      assert content =~ "export default Components;"
+    end
+
+    test "add_registry_export appends an export list when the file has none" do
+      content = Component.add_registry_export("const Components = {};\n", "Sidebar")
+
+      assert content =~ "export { Sidebar };"
+    end
+
+    test "add_registry_import extends the single registry import in app.js" do
+      app_js = """
+      import { Carousel } from "../vendor/mishka_components.js";
+      let liveSocket = new LiveSocket("/live", Socket, { hooks: { Carousel } });
+      """
+
+      assert {:ok, :added, content} = Component.add_registry_import(app_js, "Clipboard")
+      assert {:ok, :exists, ^content} = Component.add_registry_import(content, "Carousel")
+
+      assert content =~ ~s(import { Carousel, Clipboard } from "../vendor/mishka_components.js";)
+      assert length(Regex.scan(~r/mishka_components\.js/, content)) == 1
+    end
+
+    test "add_registry_import reads an import the formatter split over lines" do
+      app_js = """
+      import {
+        Carousel,
+        Clipboard,
+      } from "../vendor/mishka_components.js";
+      """
+
+      assert {:ok, :exists, ^app_js} = Component.add_registry_import(app_js, "Clipboard")
+      assert {:ok, :added, content} = Component.add_registry_import(app_js, "Collapsible")
+
+      assert content =~
+               ~s(import { Carousel, Clipboard, Collapsible } from "../vendor/mishka_components.js";)
+    end
+  end
+
   describe "CSS configuration" do
     test "creates mishka CSS file with user config" do
       igniter =